@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+/**
+ * Conversion benchmark
+ * Times whole conversions at the largest width against the implementation
+ * before the lookup tables, which serves as the baseline.
+ *
+ * Usage: node benchmark/convert.js [iterations]
+ */
+
+const sharp = require("sharp");
+const { convertToAscii } = require("../src/index");
+const { getCharset } = require("../src/charsets");
+
+const iterations = parseInt(process.argv[2], 10) || 20;
+
+/**
+ * Run a function repeatedly and return its mean time in milliseconds
+ */
+async function measure(fn) {
+    // Warm up so the timings exclude compilation
+    await fn();
+
+    const start = process.hrtime.bigint();
+    for (let i = 0; i < iterations; i++) {
+        await fn();
+    }
+
+    return Number(process.hrtime.bigint() - start) / 1e6 / iterations;
+}
+
+/**
+ * Convert as the implementation before the lookup tables did: grayscale
+ * and color pixels read from clones of one input whether or not color is
+ * shown, and a per-pixel formula appended character by character
+ */
+async function baselineConvert(input, { width, contrast = 1.2 }) {
+    const charset = getCharset("detailed");
+    const image = sharp(input);
+    const metadata = await image.metadata();
+    const height = Math.floor((metadata.height / metadata.width) * width * 0.5);
+    const resizeOptions = { fit: "fill", kernel: sharp.kernel.lanczos3 };
+
+    const [{ data }] = await Promise.all([
+        image
+            .clone()
+            .flatten({ background: "#ffffff" })
+            .resize(width, height, resizeOptions)
+            .grayscale()
+            .raw()
+            .toBuffer({ resolveWithObject: true }),
+        image
+            .clone()
+            .resize(width, height, resizeOptions)
+            .toColourspace("srgb")
+            .ensureAlpha()
+            .raw()
+            .toBuffer({ resolveWithObject: true }),
+    ]);
+
+    let art = "";
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let value = Math.pow(data[y * width + x] / 255, 1 / contrast);
+            value = Math.max(0, Math.min(1, value));
+
+            const charIndex = Math.floor(value * (charset.length - 1));
+            art += charset[charset.length - 1 - charIndex];
+        }
+        art += "\n";
+    }
+
+    return art;
+}
+
+async function main() {
+    // A noisy photo-sized image keeps every gray level in play
+    const image = await sharp({
+        create: {
+            width: 2000,
+            height: 1500,
+            channels: 3,
+            noise: { type: "gaussian", mean: 128, sigma: 60 },
+        },
+    })
+        .png()
+        .toBuffer();
+
+    const width = 500;
+    const cases = [
+        ["convertToAscii", { width }],
+        ["convertToAscii, contrast 2", { width, contrast: 2 }],
+        ["convertToAscii, truecolor", { width, color: "truecolor" }],
+    ];
+
+    // Color only adds escapes, the characters must match the baseline
+    for (const [label, options] of cases) {
+        const current = await convertToAscii(image, options);
+        if (
+            current.replace(/\x1b\[[0-9;]*m/g, "") !==
+            (await baselineConvert(image, options))
+        ) {
+            throw new Error(`${label} differs from the baseline`);
+        }
+    }
+
+    console.log(
+        `${iterations} iterations, 2000 × 1500 image, width ${width}\n`
+    );
+    console.log(
+        `${"".padEnd(28)} ${"baseline".padStart(10)} ${"current".padStart(10)}`
+    );
+
+    for (const [label, options] of cases) {
+        // The baseline never wrote color escapes, so it only times plain text
+        const baseline =
+            options.color === undefined
+                ? `${(await measure(() => baselineConvert(image, options)))
+                      .toFixed(1)
+                      .padStart(7)} ms`
+                : "-";
+        const current = await measure(() => convertToAscii(image, options));
+
+        console.log(
+            `${label.padEnd(28)} ${baseline.padStart(10)} ${current
+                .toFixed(1)
+                .padStart(7)} ms`
+        );
+    }
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,213 @@
+/**
+ * Conversion and playback of animated GIF / WebP images
+ */
+
+const sharp = require("sharp");
+const fs = require("fs").promises;
+const path = require("path");
+const { convertToGrid } = require("./converter");
+const { gridToAnsi } = require("./serializers");
+const {
+    renderArt,
+    renderAnimationHtml,
+    OUTPUT_FORMATS,
+} = require("./renderers");
+const { validateOptions } = require("./utils");
+
+// Delay used for frames that do not specify one, as browsers do
+const DEFAULT_FRAME_DELAY = 100;
+
+// Terminal control sequences used during playback
+const HIDE_CURSOR = "\x1b[?25l";
+const SHOW_CURSOR = "\x1b[?25h";
+
+/**
+ * Convert every frame of an animated image to ASCII art
+ * @param {string|Buffer} input - Image file path or buffer
+ * @param {Object} [options] - Conversion options, as for convertToGrid
+ * @returns {Promise<Object>} { width, height, loop, frames } with frames as { index, delay, art, grid }
+ */
+async function convertAnimation(input, options = {}) {
+    const opts = validateOptions(options);
+
+    let metadata;
+    try {
+        metadata = await sharp(input, { pages: -1 }).metadata();
+    } catch (error) {
+        throw new Error(`Failed to read animation: ${error.message}`);
+    }
+
+    const pages = metadata.pages || 1;
+    const delays = metadata.delay || [];
+    const frames = [];
+
+    // Frames are converted one at a time to keep memory flat
+    for (let page = 0; page < pages; page++) {
+        const grid = await convertToGrid(input, { ...opts, page });
+
+        frames.push({
+            index: page,
+            delay: delays[page] > 0 ? delays[page] : DEFAULT_FRAME_DELAY,
+            art: gridToAnsi(grid),
+            grid,
+        });
+    }
+
+    return {
+        width: frames[0].grid.width,
+        height: frames[0].grid.height,
+        loop: metadata.loop || 0,
+        frames,
+    };
+}
+
+/**
+ * Wait for a delay, resolving early when the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve) => {
+        if (signal && signal.aborted) {
+            resolve();
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener("abort", onAbort);
+            resolve();
+        }, ms);
+
+        if (signal) signal.addEventListener("abort", onAbort, { once: true });
+    });
+}
+
+/**
+ * Play an animation in the terminal, redrawing each frame in place
+ * @param {Object} animation - Result of convertAnimation
+ * @param {Object} [options] - Playback options
+ * @param {NodeJS.WritableStream} [options.stream=process.stdout] - Output stream
+ * @param {number} [options.loop] - Times to play, 0 loops forever (defaults to the image's)
+ * @param {AbortSignal} [options.signal] - Stops playback when aborted
+ * @returns {Promise<number>} Number of frames drawn
+ */
+async function playAnimation(animation, options = {}) {
+    const { stream = process.stdout, loop = animation.loop, signal } = options;
+    const { frames, height } = animation;
+    let drawn = 0;
+
+    stream.write(HIDE_CURSOR);
+
+    try {
+        for (let play = 0; loop === 0 || play < loop; play++) {
+            for (const frame of frames) {
+                if (signal && signal.aborted) return drawn;
+
+                // Move back up over the previous frame before drawing
+                if (drawn > 0) stream.write(`\x1b[${height}A`);
+                stream.write(frame.art);
+                drawn++;
+
+                await sleep(frame.delay, signal);
+            }
+        }
+    } finally {
+        stream.write(SHOW_CURSOR);
+    }
+
+    return drawn;
+}
+
+/**
+ * Serialize an animation to a JSON player document
+ * @param {Object} animation - Result of convertAnimation
+ * @returns {string} JSON document with frame art and delays
+ */
+function animationToJson(animation) {
+    return (
+        JSON.stringify({
+            width: animation.width,
+            height: animation.height,
+            loop: animation.loop,
+            frames: animation.frames.map(({ delay, art }) => ({ delay, art })),
+        }) + "\n"
+    );
+}
+
+/**
+ * Render an animation as a self-contained player
+ * @param {Object} animation - Result of convertAnimation
+ * @param {string} format - Player format (json or html)
+ * @param {Object} [options] - Render options
+ * @returns {string} Player document
+ */
+function renderAnimation(animation, format, options = {}) {
+    switch (format) {
+        case "json":
+            return animationToJson(animation);
+        case "html":
+            return renderAnimationHtml(animation.frames, {
+                loop: animation.loop,
+                ...options,
+            });
+        default:
+            throw new Error(
+                `Unsupported animation format: ${format}. Available: json, html`
+            );
+    }
+}
+
+/**
+ * Write each frame of an animation to its own file
+ * @param {Object} animation - Result of convertAnimation
+ * @param {string} outputDir - Directory to write frames to
+ * @param {Object} [options] - Output options
+ * @param {string} [options.format='text'] - Output format for each frame
+ * @param {Object} [options.render] - Render options for the format
+ * @returns {Promise<string[]>} Paths of the written frame files
+ */
+async function saveFrames(animation, outputDir, options = {}) {
+    const { format = "text", render } = options;
+    const extension = OUTPUT_FORMATS[format];
+
+    if (!extension) {
+        throw new Error(`Unsupported output format: ${format}`);
+    }
+
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const digits = Math.max(4, String(animation.frames.length).length);
+    const files = [];
+
+    for (const frame of animation.frames) {
+        const filePath = path.join(
+            outputDir,
+            `frame-${String(frame.index + 1).padStart(
+                digits,
+                "0"
+            )}.${extension}`
+        );
+
+        await fs.writeFile(
+            filePath,
+            await renderArt(frame.grid, format, render)
+        );
+        files.push(filePath);
+    }
+
+    return files;
+}
+
+module.exports = {
+    DEFAULT_FRAME_DELAY,
+    convertAnimation,
+    playAnimation,
+    animationToJson,
+    renderAnimation,
+    saveFrames,
+};
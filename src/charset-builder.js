@@ -0,0 +1,142 @@
+/**
+ * Build charsets from the measured ink coverage of rendered glyphs
+ */
+
+const sharp = require("sharp");
+
+// Printable ASCII characters, the default candidates
+const PRINTABLE_ASCII = Array.from({ length: 95 }, (_, i) =>
+    String.fromCharCode(32 + i)
+).join("");
+
+/**
+ * Escape a character for use in SVG text content
+ * @param {string} char - Character
+ * @returns {string} Escaped character
+ */
+function escapeGlyph(char) {
+    return char
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;");
+}
+
+/**
+ * Measure the ink coverage of glyphs rendered in a font
+ * @param {string} chars - Candidate characters
+ * @param {Object} [options] - Measurement options
+ * @param {string} [options.font='monospace'] - Font family
+ * @param {number} [options.size=24] - Font size in pixels
+ * @returns {Promise<Array<Object>>} { char, coverage } per unique character, coverage 0-1
+ */
+async function measureGlyphCoverage(chars, options = {}) {
+    const { font = "monospace", size = 24 } = options;
+    const glyphs = [...new Set(chars)];
+
+    if (glyphs.length === 0) {
+        throw new Error("At least one character is required");
+    }
+
+    // Render every glyph into its own cell of a single strip
+    const cellWidth = Math.ceil(size * 0.6);
+    const cellHeight = Math.ceil(size * 1.2);
+    const texts = glyphs
+        .map(
+            (char, i) =>
+                `<text x="${i * cellWidth}" y="${size}">${escapeGlyph(
+                    char
+                )}</text>`
+        )
+        .join("");
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${
+        glyphs.length * cellWidth
+    }" height="${cellHeight}"><rect width="100%" height="100%" fill="#fff"/><g font-family="${font.replace(
+        /"/g,
+        "&quot;"
+    )}" font-size="${size}" fill="#000" xml:space="preserve">${texts}</g></svg>`;
+
+    let pixels;
+    try {
+        pixels = await sharp(Buffer.from(svg))
+            .grayscale()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+    } catch (error) {
+        throw new Error(`Failed to render glyphs: ${error.message}`);
+    }
+
+    const { data, info } = pixels;
+
+    return glyphs.map((char, i) => {
+        let ink = 0;
+
+        for (let y = 0; y < info.height; y++) {
+            for (let x = i * cellWidth; x < (i + 1) * cellWidth; x++) {
+                ink += 255 - data[y * info.width + x];
+            }
+        }
+
+        return { char, coverage: ink / (255 * cellWidth * info.height) };
+    });
+}
+
+/**
+ * Build a density-sorted, evenly spaced charset for a font
+ * @param {Object} [options] - Build options
+ * @param {string} [options.chars] - Candidate characters (printable ASCII by default)
+ * @param {string} [options.font='monospace'] - Font family
+ * @param {number} [options.size=24] - Font size in pixels
+ * @param {number} [options.steps=10] - Number of characters in the ramp
+ * @returns {Promise<string>} Characters ordered from darkest to lightest
+ */
+async function buildCharset(options = {}) {
+    const { chars = PRINTABLE_ASCII, steps = 10, ...measureOptions } = options;
+
+    if (!Number.isInteger(steps) || steps < 2) {
+        throw new Error("Steps must be an integer of at least 2");
+    }
+
+    // Densest glyphs first, matching the built-in charsets
+    const measured = (await measureGlyphCoverage(chars, measureOptions)).sort(
+        (a, b) => b.coverage - a.coverage
+    );
+
+    if (measured.length <= steps) {
+        return measured.map(({ char }) => char).join("");
+    }
+
+    // Pick the glyph closest to each evenly spaced coverage level
+    const maxCoverage = measured[0].coverage;
+    const minCoverage = measured[measured.length - 1].coverage;
+    const range = maxCoverage - minCoverage || 1;
+    const picked = [];
+    let start = 0;
+
+    for (let step = 0; step < steps; step++) {
+        const target = maxCoverage - (range * step) / (steps - 1);
+
+        // Leave enough glyphs for the remaining steps
+        const end = measured.length - (steps - step - 1);
+        let best = start;
+
+        for (let i = start; i < end; i++) {
+            if (
+                Math.abs(measured[i].coverage - target) <
+                Math.abs(measured[best].coverage - target)
+            ) {
+                best = i;
+            }
+        }
+
+        picked.push(measured[best].char);
+        start = best + 1;
+    }
+
+    return picked.join("");
+}
+
+module.exports = {
+    PRINTABLE_ASCII,
+    measureGlyphCoverage,
+    buildCharset,
+};
@@ -3,6 +3,9 @@
  * Characters are ordered from darkest to lightest
  */
 
+const fs = require("fs").promises;
+const path = require("path");
+
 const CHARSETS = {
     // Detailed set with many gradations
     detailed: "@%#*+=-:. ",
@@ -29,12 +32,119 @@ const CHARSETS = {
     retro: "▓▒░ ",
 };
 
+// Charsets registered at runtime, keyed by name
+const customCharsets = {};
+
+/**
+ * Register a charset under a name so it can be used like a built-in one
+ * @param {string} name - Charset name
+ * @param {string} chars - Characters ordered from darkest to lightest
+ * @param {Object} [meta] - Charset metadata
+ * @param {string} [meta.description] - Human readable description
+ * @param {string} [meta.source='user'] - Where the charset came from
+ */
+function registerCharset(name, chars, meta = {}) {
+    if (typeof name !== "string" || name.trim() === "") {
+        throw new Error("Charset name must be a non-empty string");
+    }
+
+    if (Object.prototype.hasOwnProperty.call(CHARSETS, name)) {
+        throw new Error(`Cannot override built-in charset: ${name}`);
+    }
+
+    if (typeof chars !== "string" || [...chars].length < 2) {
+        throw new Error("Charset must contain at least 2 characters");
+    }
+
+    customCharsets[name] = {
+        chars,
+        description: meta.description || "",
+        source: meta.source || "user",
+    };
+}
+
+/**
+ * Remove a registered charset
+ * @param {string} name - Charset name
+ * @returns {boolean} True if a charset was removed
+ */
+function unregisterCharset(name) {
+    if (!Object.prototype.hasOwnProperty.call(customCharsets, name)) {
+        return false;
+    }
+
+    delete customCharsets[name];
+    return true;
+}
+
+/**
+ * Load and register charset definitions from a JSON file
+ *
+ * The file maps names to characters, either directly or under a
+ * "charsets" key; entries may also be { chars, description } objects.
+ *
+ * @param {string} filePath - Path to JSON file
+ * @returns {Promise<string[]>} Names of the registered charsets
+ */
+async function loadCharsetFile(filePath) {
+    let definitions;
+    try {
+        definitions = JSON.parse(await fs.readFile(filePath, "utf8"));
+    } catch (error) {
+        throw new Error(
+            `Failed to load charset file ${filePath}: ${error.message}`
+        );
+    }
+
+    if (definitions && typeof definitions.charsets === "object") {
+        definitions = definitions.charsets;
+    }
+
+    if (!definitions || typeof definitions !== "object") {
+        throw new Error(`Charset file ${filePath} must contain an object`);
+    }
+
+    return Object.entries(definitions).map(([name, definition]) => {
+        const { chars, description } =
+            typeof definition === "string"
+                ? { chars: definition }
+                : definition || {};
+
+        try {
+            registerCharset(name, chars, {
+                description,
+                source: path.resolve(filePath),
+            });
+        } catch (error) {
+            throw new Error(
+                `Invalid charset "${name}" in ${filePath}: ${error.message}`
+            );
+        }
+
+        return name;
+    });
+}
+
+/**
+ * Get all charsets, built-in and registered
+ * @returns {Object} Map of charset names to characters
+ */
+function getAllCharsets() {
+    const all = { ...CHARSETS };
+
+    Object.entries(customCharsets).forEach(([name, { chars }]) => {
+        all[name] = chars;
+    });
+
+    return all;
+}
+
 /**
  * Get available charset names
  * @returns {string[]} Array of charset names
  */
 function getAvailableCharsets() {
-    return Object.keys(CHARSETS);
+    return Object.keys(getAllCharsets());
 }
 
 /**
@@ -43,14 +153,14 @@ function getAvailableCharsets() {
  * @returns {string} Character string
  */
 function getCharset(name) {
-    if (!CHARSETS[name]) {
+    if (!isValidCharset(name)) {
         throw new Error(
             `Unknown charset: ${name}. Available: ${getAvailableCharsets().join(
                 ", "
             )}`
         );
     }
-    return CHARSETS[name];
+    return getAllCharsets()[name];
 }
 
 /**
@@ -59,7 +169,7 @@ function getCharset(name) {
  * @returns {boolean} True if valid
  */
 function isValidCharset(name) {
-    return Object.prototype.hasOwnProperty.call(CHARSETS, name);
+    return Object.prototype.hasOwnProperty.call(getAllCharsets(), name);
 }
 
 /**
@@ -67,16 +177,25 @@ function isValidCharset(name) {
  * @returns {Array} Array of charset info objects
  */
 function getCharsetInfo() {
-    return Object.entries(CHARSETS).map(([name, chars]) => ({
-        name,
-        chars,
-        length: chars.trim().length,
-        preview: chars.trim(),
-    }));
+    return Object.entries(getAllCharsets()).map(([name, chars]) => {
+        const custom = customCharsets[name];
+
+        return {
+            name,
+            chars,
+            length: chars.trim().length,
+            preview: chars.trim(),
+            source: custom ? custom.source : "builtin",
+            description: custom ? custom.description : "",
+        };
+    });
 }
 
 module.exports = {
     CHARSETS,
+    registerCharset,
+    unregisterCharset,
+    loadCharsetFile,
     getAvailableCharsets,
     getCharset,
     isValidCharset,
@@ -0,0 +1,242 @@
+/**
+ * ANSI color helpers for colored terminal output
+ */
+
+// Supported color output modes
+const COLOR_MODES = ["none", "ansi16", "ansi256", "truecolor"];
+
+// Escape sequence that resets all attributes
+const ANSI_RESET = "\x1b[0m";
+
+// Standard xterm palette for the 16 basic colors
+const ANSI16_PALETTE = [
+    [0, 0, 0],
+    [205, 0, 0],
+    [0, 205, 0],
+    [205, 205, 0],
+    [0, 0, 238],
+    [205, 0, 205],
+    [0, 205, 205],
+    [229, 229, 229],
+    [127, 127, 127],
+    [255, 0, 0],
+    [0, 255, 0],
+    [255, 255, 0],
+    [92, 92, 255],
+    [255, 0, 255],
+    [0, 255, 255],
+    [255, 255, 255],
+];
+
+// Channel levels used by the 6×6×6 color cube of the 256-color palette
+const CUBE_LEVELS = [0, 95, 135, 175, 215, 255];
+
+/**
+ * Validate color mode name
+ * @param {string} mode - Color mode to validate
+ * @returns {boolean} True if valid
+ */
+function isValidColorMode(mode) {
+    return COLOR_MODES.includes(mode);
+}
+
+/**
+ * Squared distance between two RGB triplets
+ * @param {number[]} a - First color
+ * @param {number[]} b - Second color
+ * @returns {number} Squared distance
+ */
+function colorDistance(a, b) {
+    const dr = a[0] - b[0];
+    const dg = a[1] - b[1];
+    const db = a[2] - b[2];
+    return dr * dr + dg * dg + db * db;
+}
+
+/**
+ * Find the closest of the 16 basic ANSI colors
+ * @param {number[]} rgb - RGB triplet (0-255)
+ * @returns {number} Palette index (0-15)
+ */
+function rgbToAnsi16(rgb) {
+    let best = 0;
+    let bestDistance = Infinity;
+
+    for (let i = 0; i < ANSI16_PALETTE.length; i++) {
+        const distance = colorDistance(rgb, ANSI16_PALETTE[i]);
+        if (distance < bestDistance) {
+            best = i;
+            bestDistance = distance;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Find the closest color of the 256-color palette (cube or gray ramp)
+ * @param {number[]} rgb - RGB triplet (0-255)
+ * @returns {number} Palette index (16-255)
+ */
+function rgbToAnsi256(rgb) {
+    // Nearest level of the color cube for each channel
+    const cubeIndex = rgb.map((value) => {
+        let best = 0;
+        for (let i = 1; i < CUBE_LEVELS.length; i++) {
+            if (
+                Math.abs(CUBE_LEVELS[i] - value) <
+                Math.abs(CUBE_LEVELS[best] - value)
+            ) {
+                best = i;
+            }
+        }
+        return best;
+    });
+    const cubeColor = cubeIndex.map((i) => CUBE_LEVELS[i]);
+
+    // Nearest step of the 24-step gray ramp (8, 18, ..., 238)
+    const average = (rgb[0] + rgb[1] + rgb[2]) / 3;
+    const grayStep = Math.max(0, Math.min(23, Math.round((average - 8) / 10)));
+    const grayValue = 8 + grayStep * 10;
+
+    if (
+        colorDistance(rgb, [grayValue, grayValue, grayValue]) <
+        colorDistance(rgb, cubeColor)
+    ) {
+        return 232 + grayStep;
+    }
+
+    return 16 + 36 * cubeIndex[0] + 6 * cubeIndex[1] + cubeIndex[2];
+}
+
+/**
+ * Resolve a 256-color palette index back to RGB
+ * @param {number} index - Palette index (0-255)
+ * @returns {number[]} RGB triplet (0-255)
+ */
+function ansiIndexToRgb(index) {
+    if (index < 16) {
+        return ANSI16_PALETTE[index].slice();
+    }
+
+    if (index >= 232) {
+        const value = 8 + (index - 232) * 10;
+        return [value, value, value];
+    }
+
+    const cube = index - 16;
+    return [
+        CUBE_LEVELS[Math.floor(cube / 36)],
+        CUBE_LEVELS[Math.floor(cube / 6) % 6],
+        CUBE_LEVELS[cube % 6],
+    ];
+}
+
+/**
+ * Snap a color to the nearest color displayable in a color mode
+ * @param {number[]} rgb - RGB triplet (0-255)
+ * @param {string} mode - Color mode
+ * @returns {number[]} RGB triplet as shown in that mode
+ */
+function quantizeColor(rgb, mode) {
+    switch (mode) {
+        case "ansi16":
+            return ansiIndexToRgb(rgbToAnsi16(rgb));
+        case "ansi256":
+            return ansiIndexToRgb(rgbToAnsi256(rgb));
+        default:
+            return rgb;
+    }
+}
+
+/**
+ * Convert an RGB triplet to a CSS hex color
+ * @param {number[]} rgb - RGB triplet (0-255)
+ * @returns {string} Hex color string
+ */
+function rgbToHex(rgb) {
+    return (
+        "#" + rgb.map((value) => value.toString(16).padStart(2, "0")).join("")
+    );
+}
+
+/**
+ * Parse a CSS hex color
+ * @param {string} hex - Color as #rgb or #rrggbb
+ * @returns {number[]|null} RGB triplet (0-255), or null if it is not a hex color
+ */
+function hexToRgb(hex) {
+    const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(hex).trim());
+    if (!match) return null;
+
+    const digits =
+        match[1].length === 3
+            ? [...match[1]].map((digit) => digit + digit).join("")
+            : match[1];
+
+    return [0, 2, 4].map((offset) =>
+        parseInt(digits.slice(offset, offset + 2), 16)
+    );
+}
+
+/**
+ * Build the escape sequence selecting a color
+ * @param {number[]} rgb - RGB triplet (0-255)
+ * @param {string} mode - Color mode (ansi16, ansi256 or truecolor)
+ * @param {boolean} [background=false] - Set background instead of foreground
+ * @returns {string} Escape sequence, empty for mode "none"
+ */
+function colorEscape(rgb, mode, background = false) {
+    switch (mode) {
+        case "truecolor":
+            return `\x1b[${background ? 48 : 38};2;${rgb[0]};${rgb[1]};${
+                rgb[2]
+            }m`;
+        case "ansi256":
+            return `\x1b[${background ? 48 : 38};5;${rgbToAnsi256(rgb)}m`;
+        case "ansi16": {
+            const index = rgbToAnsi16(rgb);
+            const base = index < 8 ? 30 : 90;
+            return `\x1b[${base + (background ? 10 : 0) + (index % 8)}m`;
+        }
+        default:
+            return "";
+    }
+}
+
+/**
+ * Detect the richest color mode supported by an output stream
+ * @param {Object} [stream=process.stdout] - Output stream
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {string} Color mode
+ */
+function detectColorMode(stream = process.stdout, env = process.env) {
+    if (!stream || !stream.isTTY) return "none";
+    if ("NO_COLOR" in env) return "none";
+    if (env.TERM === "dumb") return "none";
+
+    const colorterm = (env.COLORTERM || "").toLowerCase();
+    if (colorterm === "truecolor" || colorterm === "24bit") {
+        return "truecolor";
+    }
+
+    if (/-256(colou?r)?$/i.test(env.TERM || "")) {
+        return "ansi256";
+    }
+
+    return "ansi16";
+}
+
+module.exports = {
+    COLOR_MODES,
+    ANSI_RESET,
+    isValidColorMode,
+    rgbToAnsi16,
+    rgbToAnsi256,
+    ansiIndexToRgb,
+    quantizeColor,
+    rgbToHex,
+    hexToRgb,
+    colorEscape,
+    detectColorMode,
+};
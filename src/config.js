@@ -0,0 +1,142 @@
+/**
+ * Project config files and named option presets
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+
+// Files searched in each directory, most specific first
+const CONFIG_FILENAMES = [
+    ".asciipicrc",
+    "asciipic.config.json",
+    "package.json",
+];
+
+// Key holding the config inside package.json
+const PACKAGE_CONFIG_KEY = "asciiPic";
+
+/**
+ * Read options from a config file
+ * @param {string} configPath - Path to a JSON config file or package.json
+ * @returns {Promise<Object|null>} Config, or null for a package.json without one
+ */
+async function readConfigFile(configPath) {
+    let config;
+    try {
+        config = JSON.parse(await fs.readFile(configPath, "utf8"));
+    } catch (error) {
+        throw new Error(`Invalid config file ${configPath}: ${error.message}`);
+    }
+
+    if (path.basename(configPath) === "package.json") {
+        config = config[PACKAGE_CONFIG_KEY];
+        if (config === undefined) return null;
+    }
+
+    if (!config || typeof config !== "object" || Array.isArray(config)) {
+        throw new Error(
+            `Invalid config file ${configPath}: expected an object`
+        );
+    }
+
+    const { presets = {} } = config;
+    if (typeof presets !== "object" || Array.isArray(presets)) {
+        throw new Error(
+            `Invalid config file ${configPath}: presets must map names to options`
+        );
+    }
+    for (const [name, preset] of Object.entries(presets)) {
+        if (!preset || typeof preset !== "object" || Array.isArray(preset)) {
+            throw new Error(
+                `Invalid config file ${configPath}: preset ${name} must be an object`
+            );
+        }
+    }
+
+    return config;
+}
+
+/**
+ * Find the nearest config file from a directory upward
+ * @param {string} [startDir=process.cwd()] - Directory to start searching from
+ * @returns {Promise<Object|null>} { path, config }, or null if none is found
+ */
+async function findConfig(startDir = process.cwd()) {
+    let dir = path.resolve(startDir);
+
+    for (;;) {
+        for (const filename of CONFIG_FILENAMES) {
+            const configPath = path.join(dir, filename);
+            try {
+                await fs.access(configPath);
+            } catch {
+                continue;
+            }
+
+            const config = await readConfigFile(configPath);
+            if (config) return { path: configPath, config };
+        }
+
+        const parent = path.dirname(dir);
+        if (parent === dir) return null;
+        dir = parent;
+    }
+}
+
+/**
+ * Load a config file given explicitly
+ * @param {string} configPath - Path to a JSON config file or package.json
+ * @returns {Promise<Object>} { path, config }
+ */
+async function loadConfig(configPath) {
+    const config = await readConfigFile(configPath);
+    if (!config) {
+        throw new Error(`No "${PACKAGE_CONFIG_KEY}" key in ${configPath}`);
+    }
+
+    return { path: path.resolve(configPath), config };
+}
+
+/**
+ * Merge a config with one of its presets, which takes precedence
+ * @param {Object} config - Config from findConfig or loadConfig
+ * @param {string} [presetName] - Preset to apply
+ * @returns {Object} { options, sources } with sources naming where each option came from
+ */
+function resolveConfig(config = {}, presetName) {
+    const { presets = {}, ...base } = config;
+    const options = {};
+    const sources = {};
+
+    for (const [key, value] of Object.entries(base)) {
+        options[key] = value;
+        sources[key] = "config";
+    }
+
+    if (presetName !== undefined) {
+        if (!Object.prototype.hasOwnProperty.call(presets, presetName)) {
+            const available = Object.keys(presets);
+            throw new Error(
+                `Unknown preset: ${presetName}. Available: ${
+                    available.length > 0 ? available.join(", ") : "(none)"
+                }`
+            );
+        }
+
+        for (const [key, value] of Object.entries(presets[presetName])) {
+            options[key] = value;
+            sources[key] = "preset";
+        }
+    }
+
+    return { options, sources };
+}
+
+module.exports = {
+    CONFIG_FILENAMES,
+    PACKAGE_CONFIG_KEY,
+    readConfigFile,
+    findConfig,
+    loadConfig,
+    resolveConfig,
+};
@@ -1,122 +1,569 @@
 const sharp = require("sharp");
 const fs = require("fs").promises;
 const { getCharset } = require("./charsets");
+const { renderArt } = require("./renderers");
+const { gridToAnsi } = require("./serializers");
+const { ditherPlane } = require("./dither");
+const { overlayEdges } = require("./edges");
+const {
+    UnsupportedFormatError,
+    CorruptImageError,
+    ImageTooLargeError,
+    ImageProcessingError,
+} = require("./errors");
+const { hasPreprocessing, preprocessImage } = require("./preprocess");
+const { hexToRgb } = require("./colors");
+const { brightnessTable, glyphTable } = require("./lookup");
 const {
     validateOptions,
     fileExists,
     isSupportedImageFormat,
+    calculateDimensions,
+    CELL_GEOMETRY,
 } = require("./utils");
 
+// Decoder messages that mean the image data is damaged or truncated
+const CORRUPT_IMAGE_PATTERNS = [
+    /corrupt header/i,
+    /end of (stream|input|file)/i,
+    /premature end/i,
+    /unexpected end/i,
+    /truncated/i,
+    /read error/i,
+];
+
+// Braille dot bits indexed by [row][column] within a 2×4 cell
+const BRAILLE_DOTS = [
+    [0x01, 0x08],
+    [0x02, 0x10],
+    [0x04, 0x20],
+    [0x40, 0x80],
+];
+
 /**
- * Convert image to ASCII art
+ * Describe an input for error messages
  * @param {string|Buffer} input - Image file path or buffer
- * @param {Object} options - Conversion options
- * @returns {Promise<string>} ASCII art string
+ * @returns {string} File path, or a placeholder for buffers
  */
-async function convertToAscii(input, options = {}) {
-    // Validate options
-    const opts = validateOptions(options);
+function describeInput(input) {
+    return typeof input === "string" ? input : "[Buffer]";
+}
 
-    // Validate input
-    if (typeof input === "string") {
-        if (!(await fileExists(input))) {
-            throw new Error(`File not found: ${input}`);
+/**
+ * Turn grayscale pixels into adjusted brightness values
+ * @param {Buffer} data - Raw single-channel pixels
+ * @param {Object} opts - Validated conversion options
+ * @returns {Float64Array} Brightness (0-1) per pixel
+ */
+function toBrightness(data, opts) {
+    const table = brightnessTable(opts.contrast, opts.invert);
+    const brightness = new Float64Array(data.length);
+
+    for (let i = 0; i < data.length; i++) {
+        brightness[i] = table[data[i]];
+    }
+
+    return brightness;
+}
+
+/**
+ * Map each cell to a charset character
+ * @param {Buffer} data - Raw gray level per cell
+ * @param {Float64Array} brightness - Brightness per cell
+ * @param {number} width - Cells per row
+ * @param {number} height - Number of rows
+ * @param {string[]} charset - Characters ordered from densest to lightest,
+ *   one code point each
+ * @param {Object} opts - Validated conversion options
+ * @param {number} [scale=1] - Factor applied to brightness before mapping
+ * @returns {string[]} Character per cell
+ */
+function mapCharset(data, brightness, width, height, charset, opts, scale = 1) {
+    const chars = new Array(brightness.length);
+
+    // Dithering spreads the quantization error over neighbouring cells
+    if (opts.dither !== "none") {
+        const levels = ditherPlane(
+            scale === 1 ? brightness : brightness.map((value) => value * scale),
+            width,
+            height,
+            charset.length,
+            opts.dither
+        );
+
+        for (let i = 0; i < brightness.length; i++) {
+            chars[i] = charset[charset.length - 1 - levels[i]];
+        }
+
+        return chars;
+    }
+
+    // Otherwise each cell's character depends only on its gray level
+    const glyphs = glyphTable(charset, opts.contrast, opts.invert, scale);
+    for (let i = 0; i < data.length; i++) {
+        chars[i] = glyphs[data[i]];
+    }
+
+    return chars;
+}
+
+/**
+ * Decide which pixels are lit, by threshold or by dithering
+ * @param {Float64Array} brightness - Brightness per pixel
+ * @param {number} width - Pixel width
+ * @param {number} height - Pixel height
+ * @param {Object} opts - Validated conversion options
+ * @returns {ArrayLike<number>} 1 for lit pixels, 0 otherwise
+ */
+function thresholdPlane(brightness, width, height, opts) {
+    // Shift values so that the threshold lands on the dither midpoint
+    const shifted = brightness.map((value) => value + 0.5 - opts.threshold);
+
+    return opts.dither === "none"
+        ? shifted.map((value) => (value >= 0.5 ? 1 : 0))
+        : ditherPlane(shifted, width, height, 2, opts.dither);
+}
+
+/**
+ * Map 2×4 pixel blocks to Braille patterns, lighting dots on bright pixels
+ * @param {Float64Array} brightness - Brightness per pixel
+ * @param {number} width - Pixel width (2 per cell)
+ * @param {number} height - Pixel height (4 per cell)
+ * @param {Object} opts - Validated conversion options
+ * @returns {string[]} Character per cell
+ */
+function mapBraille(brightness, width, height, opts) {
+    const dots = thresholdPlane(brightness, width, height, opts);
+
+    const columns = width / 2;
+    const rows = height / 4;
+    const chars = new Array(columns * rows);
+
+    for (let cy = 0; cy < rows; cy++) {
+        for (let cx = 0; cx < columns; cx++) {
+            let bits = 0;
+
+            for (let dy = 0; dy < 4; dy++) {
+                for (let dx = 0; dx < 2; dx++) {
+                    const index = (cy * 4 + dy) * width + cx * 2 + dx;
+                    if (dots[index]) {
+                        bits |= BRAILLE_DOTS[dy][dx];
+                    }
+                }
+            }
+
+            chars[cy * columns + cx] = String.fromCharCode(0x2800 + bits);
+        }
+    }
+
+    return chars;
+}
+
+/**
+ * Map pairs of pixel rows to half blocks, packing two rows per line
+ * @param {Float64Array} brightness - Brightness per pixel
+ * @param {number} width - Pixel width (1 per cell)
+ * @param {number} height - Pixel height (2 per cell)
+ * @param {Object} opts - Validated conversion options
+ * @returns {string[]} Character per cell
+ */
+function mapHalfBlock(brightness, width, height, opts) {
+    const chars = new Array((width * height) / 2);
+
+    // With color, the upper half shows the top pixel and the background
+    // the bottom pixel; every cell is the same glyph
+    if (opts.color !== "none") {
+        return chars.fill("▀");
+    }
+
+    // Without color, pick the block covering the lit halves
+    const lit = thresholdPlane(brightness, width, height, opts);
+
+    for (let cy = 0; cy < height / 2; cy++) {
+        for (let x = 0; x < width; x++) {
+            const top = cy * 2 * width + x;
+            const upper = lit[top];
+            const lower = lit[top + width];
+
+            chars[cy * width + x] =
+                upper && lower ? "█" : upper ? "▀" : lower ? "▄" : " ";
+        }
+    }
+
+    return chars;
+}
+
+/**
+ * Combine characters with the brightness and color sampled for each cell
+ * @param {string[]} chars - Character per cell
+ * @param {Float64Array} brightness - Brightness per sampled pixel
+ * @param {Object} samples - Sampled grid size and cell geometry
+ * @param {Object|null} colorPixels - Raw RGBA pixels, per pixel in halfblock
+ *   mode and per cell otherwise; null when only text is produced, leaving
+ *   cells opaque and without color
+ * Transparent cells, under the blank and threshold alpha modes, get the
+ * alpha character and are marked `transparent` so they are left uncolored.
+ * @param {Object} opts - Validated conversion options
+ * @returns {Object[]} Cells as { char, brightness, rgb, alpha[, bg][, transparent] }
+ */
+function buildCells(chars, brightness, samples, colorPixels, opts) {
+    const { width, height, cellWidth, cellHeight } = samples;
+    const columns = width / cellWidth;
+    const halfblock = opts.mode === "halfblock";
+    const background = hexToRgb(opts.background);
+    const cells = new Array(chars.length);
+
+    const { data, info } = colorPixels || {};
+    const alphaAt = (pixel) =>
+        colorPixels ? data[pixel * info.channels + 3] / 255 : 1;
+    const rgbAt = (pixel) => {
+        if (!colorPixels) {
+            return null;
+        }
+
+        const offset = pixel * info.channels;
+        const rgb = [data[offset], data[offset + 1], data[offset + 2]];
+        const alpha = alphaAt(pixel);
+
+        // Partially transparent pixels show the background through
+        return alpha < 1
+            ? rgb.map((value, k) =>
+                  Math.round(value * alpha + background[k] * (1 - alpha))
+              )
+            : rgb;
+    };
+    const isTransparent = (alpha) => {
+        switch (opts.alphaMode) {
+            case "blank":
+                return alpha === 0;
+            case "threshold":
+                return alpha < opts.alphaThreshold;
+            default:
+                return false;
         }
+    };
 
-        if (!isSupportedImageFormat(input)) {
-            throw new Error(`Unsupported image format: ${input}`);
+    for (let i = 0; i < chars.length; i++) {
+        const cx = i % columns;
+        const cy = Math.floor(i / columns);
+
+        // Average brightness over the pixels covered by the cell
+        let sum = 0;
+        for (let dy = 0; dy < cellHeight; dy++) {
+            for (let dx = 0; dx < cellWidth; dx++) {
+                sum +=
+                    brightness[
+                        (cy * cellHeight + dy) * width + cx * cellWidth + dx
+                    ];
+            }
         }
+
+        // Half blocks take the foreground from the top pixel and the
+        // background from the bottom one
+        const top = halfblock ? cy * 2 * columns + cx : i;
+        const bottom = top + columns;
+        const cell = {
+            char: chars[i],
+            brightness: sum / (cellWidth * cellHeight),
+            rgb: rgbAt(top),
+            alpha: halfblock
+                ? (alphaAt(top) + alphaAt(bottom)) / 2
+                : alphaAt(i),
+        };
+
+        if (halfblock) {
+            const clearTop = isTransparent(alphaAt(top));
+            const clearBottom = isTransparent(alphaAt(bottom));
+            if (clearTop && clearBottom) {
+                cell.char = opts.alphaChar;
+                cell.transparent = true;
+            } else if (opts.color !== "none") {
+                // Draw only the opaque half when the other is transparent
+                if (clearTop) {
+                    cell.char = "▄";
+                    cell.rgb = rgbAt(bottom);
+                } else if (clearBottom) {
+                    cell.char = "▀";
+                } else {
+                    cell.bg = rgbAt(bottom);
+                }
+            }
+        } else if (isTransparent(cell.alpha)) {
+            cell.char = opts.alphaChar;
+            cell.transparent = true;
+        }
+
+        cells[i] = cell;
     }
 
+    return cells;
+}
+
+/**
+ * Sample an image into a grid of cells
+ * @param {string|Buffer} input - Image file path or buffer
+ * @param {Object} options - Conversion options
+ * @param {boolean} sampleColor - Whether cells need their color and alpha
+ *   even when the options would not show them
+ * @returns {Promise<Object>} Grid as { width, height, cells, metadata }
+ */
+async function sampleGrid(input, options, sampleColor) {
+    // Validate options; the signal is kept out of the grid metadata
+    const { signal, ...conversionOptions } = options;
+    const opts = validateOptions(conversionOptions);
+    signal?.throwIfAborted();
+
+    // Validate input
+    if (typeof input === "string" && !(await fileExists(input))) {
+        throw new Error(`File not found: ${input}`);
+    }
+
+    // Identify files and buffers by content rather than extension
+    if (
+        (typeof input === "string" || Buffer.isBuffer(input)) &&
+        !isSupportedImageFormat(input)
+    ) {
+        throw new UnsupportedFormatError(
+            `Unsupported image format: ${describeInput(input)}`
+        );
+    }
+
+    // Get charset, inline characters take precedence over the name
+    const charset = opts.charsetChars || getCharset(opts.charset);
+
+    // Index by code point so characters outside the BMP stay whole
+    const glyphs = [...charset];
+
     try {
-        // Get charset
-        const charset = getCharset(opts.charset);
+        // Files are read once so that the metadata and the resize share
+        // one pipeline input instead of each reopening the file
+        const imageData =
+            typeof input === "string" ? await fs.readFile(input) : input;
 
-        // Calculate target dimensions
-        let sharpInstance = sharp(input);
-        const metadata = await sharpInstance.metadata();
-        const { width: imgWidth, height: imgHeight } = metadata;
+        // Pre-process, replacing the source with the result
+        const original = sharp(imageData, { page: opts.page });
+        const metadata = await original.metadata();
+        const preprocessed = hasPreprocessing(opts)
+            ? await preprocessImage(original, opts)
+            : { image: original, steps: [], ...metadata };
+        const sharpInstance = preprocessed.image;
+        signal?.throwIfAborted();
 
-        const targetWidth = opts.width;
-        const targetHeight = Math.floor(
-            (imgHeight / imgWidth) * targetWidth * opts.aspectRatio
+        // Calculate target dimensions
+        const dims = calculateDimensions(
+            preprocessed.width,
+            preprocessed.height,
+            opts.width,
+            opts.aspectRatio,
+            opts.mode,
+            { height: opts.height, maxHeight: opts.maxHeight, fit: opts.fit }
         );
+        const cell = CELL_GEOMETRY[opts.mode];
 
-        // Process image: resize, convert to grayscale, get raw pixels
-        const { data, info } = await sharpInstance
-            .resize(targetWidth, targetHeight, {
-                fit: "fill",
-                kernel: sharp.kernel.lanczos3,
-            })
-            .grayscale()
-            .raw()
-            .toBuffer({ resolveWithObject: true });
-
-        // Convert pixels to ASCII
-        let asciiArt = "";
-        const { width, height } = info;
-
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const pixelIndex = y * width + x;
-                let brightness = data[pixelIndex] / 255;
-
-                // Apply contrast adjustment
-                brightness = Math.pow(brightness, 1 / opts.contrast);
-
-                // Clamp brightness
-                brightness = Math.max(0, Math.min(1, brightness));
-
-                // Invert if requested
-                if (opts.invert) {
-                    brightness = 1 - brightness;
-                }
+        // Cover trims the image to the part that fills the output
+        const source = dims.crop
+            ? sharpInstance.clone().extract(dims.crop)
+            : sharpInstance;
 
-                // Map brightness to character
-                const charIndex = Math.floor(brightness * (charset.length - 1));
-                const char = charset[charset.length - 1 - charIndex];
+        // Process image: resize, then read grayscale pixels and, unless
+        // only text is produced, color pixels
+        const resizeOptions = {
+            fit: "fill",
+            kernel: sharp.kernel.lanczos3,
+        };
+        const [r, g, b] = hexToRgb(opts.background);
 
-                asciiArt += char;
-            }
+        // Cloning copies the input, so only the color pass gets a clone
+        const colorSource =
+            sampleColor || opts.color !== "none" || opts.alphaMode !== "flatten"
+                ? source.clone()
+                : null;
 
-            // Add newline at end of each row
-            asciiArt += "\n";
+        const [{ data, info }, colorPixels] = await Promise.all([
+            // Brightness sees transparent pixels as the background
+            source
+                .flatten({ background: { r, g, b } })
+                .resize(dims.sampleWidth, dims.sampleHeight, resizeOptions)
+                .grayscale()
+                .raw()
+                .toBuffer({ resolveWithObject: true }),
+            colorSource
+                ? colorSource
+                      .resize(
+                          // Half blocks color each pixel, other modes each cell
+                          opts.mode === "halfblock"
+                              ? dims.sampleWidth
+                              : dims.width,
+                          opts.mode === "halfblock"
+                              ? dims.sampleHeight
+                              : dims.height,
+                          resizeOptions
+                      )
+                      .toColourspace("srgb")
+                      .ensureAlpha()
+                      .raw()
+                      .toBuffer({ resolveWithObject: true })
+                : null,
+        ]);
+        signal?.throwIfAborted();
+
+        // Map pixels to one character per cell
+        const brightness = toBrightness(data, opts);
+        let chars;
+
+        if (opts.mode === "halfblock") {
+            chars = mapHalfBlock(brightness, info.width, info.height, opts);
+        } else if (opts.mode === "braille") {
+            chars = mapBraille(brightness, info.width, info.height, opts);
+        } else {
+            // Fade the brightness layer beneath edges towards blank cells
+            chars = mapCharset(
+                data,
+                brightness,
+                info.width,
+                info.height,
+                glyphs,
+                opts,
+                opts.edges ? opts.edgeBlend : 1
+            );
+
+            if (opts.edges) {
+                overlayEdges(
+                    chars,
+                    Float64Array.from(data, (value) => value / 255),
+                    info.width,
+                    info.height,
+                    opts.edgeThreshold
+                );
+            }
         }
 
-        return asciiArt;
+        const cells = buildCells(
+            chars,
+            brightness,
+            {
+                width: info.width,
+                height: info.height,
+                cellWidth: cell.width,
+                cellHeight: cell.height,
+            },
+            colorPixels,
+            opts
+        );
+
+        return {
+            width: dims.width,
+            height: dims.height,
+            cells,
+            metadata: {
+                source: {
+                    width: metadata.width,
+                    height: metadata.height,
+                    format: metadata.format,
+                },
+                mode: opts.mode,
+                charset: opts.mode === "ascii" ? charset : null,
+                preprocess: preprocessed.steps,
+                options: opts,
+            },
+        };
     } catch (error) {
+        if (error.name === "AbortError") {
+            throw error;
+        }
+
         if (error.message.includes("Input file is missing")) {
             throw new Error(`Unable to read image file: ${input}`);
         }
 
+        if (/exceeds .*pixel limit/.test(error.message)) {
+            throw new ImageTooLargeError(
+                `Image exceeds the pixel limit: ${describeInput(input)}`,
+                { cause: error }
+            );
+        }
+
         if (
-            error.message.includes(
-                "Input file contains unsupported image format"
+            CORRUPT_IMAGE_PATTERNS.some((pattern) =>
+                pattern.test(error.message)
             )
         ) {
-            throw new Error(`Unsupported or corrupted image format: ${input}`);
+            throw new CorruptImageError(
+                `Corrupt or truncated image: ${describeInput(input)}`,
+                { cause: error }
+            );
         }
 
-        throw new Error(`Image conversion failed: ${error.message}`);
+        if (error.message.includes("unsupported image format")) {
+            throw new UnsupportedFormatError(
+                `Unsupported or corrupted image format: ${describeInput(
+                    input
+                )}`,
+                { cause: error }
+            );
+        }
+
+        // Faults in our own code stay plain errors, anything else failed
+        // on this image
+        if (error instanceof TypeError || error instanceof ReferenceError) {
+            throw new Error(`Image conversion failed: ${error.message}`, {
+                cause: error,
+            });
+        }
+
+        throw new ImageProcessingError(
+            `Image conversion failed: ${error.message}`,
+            { cause: error }
+        );
     }
 }
 
+/**
+ * Convert image to a grid of cells
+ * @param {string|Buffer} input - Image file path or buffer
+ * @param {Object} options - Conversion options
+ * @param {AbortSignal} [options.signal] - Cancels the conversion between stages
+ * @returns {Promise<Object>} Grid as { width, height, cells, metadata }
+ */
+async function convertToGrid(input, options = {}) {
+    return sampleGrid(input, options, true);
+}
+
+/**
+ * Convert image to ASCII art
+ * @param {string|Buffer} input - Image file path or buffer
+ * @param {Object} options - Conversion options
+ * @returns {Promise<string>} ASCII art string
+ */
+async function convertToAscii(input, options = {}) {
+    // Plain text never shows cell colors, so their pass is skipped
+    return gridToAnsi(await sampleGrid(input, options, false));
+}
+
 /**
  * Convert image to ASCII and save to file
  * @param {string|Buffer} input - Image file path or buffer
  * @param {string} outputPath - Output file path
  * @param {Object} options - Conversion options
+ * @param {string} [options.format='text'] - Output format (text, html, svg, png, webp, json)
+ * @param {Object} [options.render] - Render options for html/svg/image output
+ * @param {AbortSignal} [options.signal] - Cancels the conversion, rejecting with its reason
  * @returns {Promise<Object>} Result object with stats
  */
 async function convertAndSave(input, outputPath, options = {}) {
     const startTime = Date.now();
 
     try {
-        // Convert to ASCII
-        const asciiArt = await convertToAscii(input, options);
+        const opts = validateOptions(options);
 
-        // Save to file
-        await saveToFile(asciiArt, outputPath);
+        // Convert to a grid, keeping the text form for the stats
+        const grid = await convertToGrid(input, opts);
+        const asciiArt = gridToAnsi(grid);
+
+        // Render and save to file
+        const rendered = await renderArt(grid, opts.format, opts.render);
+        opts.signal?.throwIfAborted();
+        await saveToFile(rendered, outputPath);
 
         // Get file stats
         const stats = await fs.stat(outputPath);
@@ -124,19 +571,27 @@ async function convertAndSave(input, outputPath, options = {}) {
 
         return {
             success: true,
-            inputFile: typeof input === "string" ? input : "[Buffer]",
+            inputFile: describeInput(input),
             outputFile: outputPath,
+            format: opts.format,
             fileSize: stats.size,
             processingTime,
             lines: asciiArt.split("\n").length - 1, // -1 for trailing newline
             characters: asciiArt.length,
+            preprocess: grid.metadata.preprocess,
         };
     } catch (error) {
+        // Cancellation is not a per-file failure
+        if (error.name === "AbortError") {
+            throw error;
+        }
+
         return {
             success: false,
-            inputFile: typeof input === "string" ? input : "[Buffer]",
+            inputFile: describeInput(input),
             outputFile: outputPath,
             error: error.message,
+            code: error.code,
             processingTime: Date.now() - startTime,
         };
     }
@@ -144,7 +599,7 @@ async function convertAndSave(input, outputPath, options = {}) {
 
 /**
  * Save ASCII art to file
- * @param {string} asciiArt - ASCII art content
+ * @param {string|Buffer} asciiArt - ASCII art content or rendered image
  * @param {string} filePath - Output file path
  * @returns {Promise<void>}
  */
@@ -183,20 +638,28 @@ async function getImageInfo(input) {
  * Preview ASCII conversion (first few lines only)
  * @param {string|Buffer} input - Image file path or buffer
  * @param {Object} options - Conversion options
- * @param {number} [previewLines=10] - Number of lines to preview
+ * @param {number} [previewLines=10] - Number of lines to preview; in
+ *   halfblock mode, number of image rows (two per line)
  * @returns {Promise<string>} Preview ASCII art
  */
 async function previewAscii(input, options = {}, previewLines = 10) {
     const fullAscii = await convertToAscii(input, options);
     const lines = fullAscii.split("\n");
 
+    // Each halfblock line packs two image rows
+    const lineCount =
+        options.mode === "halfblock"
+            ? Math.ceil(previewLines / 2)
+            : previewLines;
+
     return (
-        lines.slice(0, previewLines).join("\n") +
-        (lines.length > previewLines ? "\n... (truncated)" : "")
+        lines.slice(0, lineCount).join("\n") +
+        (lines.length > lineCount ? "\n... (truncated)" : "")
     );
 }
 
 module.exports = {
+    convertToGrid,
     convertToAscii,
     convertAndSave,
     saveToFile,
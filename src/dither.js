@@ -0,0 +1,194 @@
+/**
+ * Dithering of brightness planes onto a fixed number of levels
+ */
+
+// Error diffusion kernels as [dx, dy, weight] entries plus their divisor
+const DIFFUSION_KERNELS = {
+    "floyd-steinberg": {
+        divisor: 16,
+        entries: [
+            [1, 0, 7],
+            [-1, 1, 3],
+            [0, 1, 5],
+            [1, 1, 1],
+        ],
+    },
+    // Atkinson only diffuses 6/8 of the error, keeping highlights crisp
+    atkinson: {
+        divisor: 8,
+        entries: [
+            [1, 0, 1],
+            [2, 0, 1],
+            [-1, 1, 1],
+            [0, 1, 1],
+            [1, 1, 1],
+            [0, 2, 1],
+        ],
+    },
+    "jarvis-judice-ninke": {
+        divisor: 48,
+        entries: [
+            [1, 0, 7],
+            [2, 0, 5],
+            [-2, 1, 3],
+            [-1, 1, 5],
+            [0, 1, 7],
+            [1, 1, 5],
+            [2, 1, 3],
+            [-2, 2, 1],
+            [-1, 2, 3],
+            [0, 2, 5],
+            [1, 2, 3],
+            [2, 2, 1],
+        ],
+    },
+};
+
+// Ordered dithering matrix sizes
+const BAYER_SIZES = {
+    bayer2: 2,
+    bayer4: 4,
+    bayer8: 8,
+};
+
+// Supported dithering algorithms
+const DITHER_ALGORITHMS = [
+    "none",
+    ...Object.keys(DIFFUSION_KERNELS),
+    ...Object.keys(BAYER_SIZES),
+];
+
+/**
+ * Validate dithering algorithm name
+ * @param {string} name - Algorithm name
+ * @returns {boolean} True if valid
+ */
+function isValidDitherAlgorithm(name) {
+    return DITHER_ALGORITHMS.includes(name);
+}
+
+/**
+ * Build a Bayer threshold matrix
+ * @param {number} size - Matrix size (power of two)
+ * @returns {number[][]} Matrix with values 0 to size² - 1
+ */
+function bayerMatrix(size) {
+    if (size === 1) {
+        return [[0]];
+    }
+
+    const half = bayerMatrix(size / 2);
+    const matrix = [];
+
+    for (let y = 0; y < size; y++) {
+        matrix.push([]);
+        for (let x = 0; x < size; x++) {
+            const base = 4 * half[y % (size / 2)][x % (size / 2)];
+            const quadrant = [
+                [0, 2],
+                [3, 1],
+            ][Math.floor(y / (size / 2))][Math.floor(x / (size / 2))];
+            matrix[y].push(base + quadrant);
+        }
+    }
+
+    return matrix;
+}
+
+/**
+ * Clamp a level index to the valid range
+ * @param {number} level - Level index
+ * @param {number} maxLevel - Highest level index
+ * @returns {number} Clamped level
+ */
+function clampLevel(level, maxLevel) {
+    return Math.max(0, Math.min(maxLevel, level));
+}
+
+/**
+ * Quantize a brightness plane to level indices, dithering the error
+ * @param {Float64Array|number[]} values - Brightness values (0-1), row-major
+ * @param {number} width - Plane width
+ * @param {number} height - Plane height
+ * @param {number} levels - Number of output levels (>= 2)
+ * @param {string} [algorithm='floyd-steinberg'] - Dithering algorithm
+ * @returns {Uint8Array} Level index (0 to levels - 1) for each value
+ */
+function ditherPlane(
+    values,
+    width,
+    height,
+    levels,
+    algorithm = "floyd-steinberg"
+) {
+    if (!isValidDitherAlgorithm(algorithm)) {
+        throw new Error(
+            `Unknown dither algorithm: ${algorithm}. Available: ${DITHER_ALGORITHMS.join(
+                ", "
+            )}`
+        );
+    }
+
+    const maxLevel = levels - 1;
+    const result = new Uint8Array(width * height);
+
+    if (algorithm === "none") {
+        for (let i = 0; i < result.length; i++) {
+            result[i] = clampLevel(Math.round(values[i] * maxLevel), maxLevel);
+        }
+        return result;
+    }
+
+    // Ordered dithering: offset each value by its position in the matrix
+    if (BAYER_SIZES[algorithm]) {
+        const size = BAYER_SIZES[algorithm];
+        const matrix = bayerMatrix(size);
+        const cells = size * size;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const index = y * width + x;
+                const offset = (matrix[y % size][x % size] + 0.5) / cells;
+                result[index] = clampLevel(
+                    Math.floor(values[index] * maxLevel + offset),
+                    maxLevel
+                );
+            }
+        }
+        return result;
+    }
+
+    // Error diffusion: work on a copy so the caller's plane is untouched
+    const { divisor, entries } = DIFFUSION_KERNELS[algorithm];
+    const plane = Float64Array.from(values);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const index = y * width + x;
+            const level = clampLevel(
+                Math.round(plane[index] * maxLevel),
+                maxLevel
+            );
+            const error = plane[index] - level / maxLevel;
+            result[index] = level;
+
+            for (const [dx, dy, weight] of entries) {
+                const nx = x + dx;
+                const ny = y + dy;
+
+                if (nx >= 0 && nx < width && ny < height) {
+                    plane[ny * width + nx] += (error * weight) / divisor;
+                }
+            }
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    DITHER_ALGORITHMS,
+    isValidDitherAlgorithm,
+    bayerMatrix,
+    ditherPlane,
+};
@@ -0,0 +1,97 @@
+/**
+ * Edge detection for directional glyph overlays
+ */
+
+// Largest possible Sobel gradient magnitude for values in 0-1
+const MAX_MAGNITUDE = 4 * Math.SQRT2;
+
+/**
+ * Run a Sobel gradient pass over a grayscale plane
+ * @param {ArrayLike<number>} values - Grayscale values (0-1), row-major
+ * @param {number} width - Plane width
+ * @param {number} height - Plane height
+ * @returns {Object} { gx, gy, magnitude } planes, magnitude normalized to 0-1
+ */
+function sobel(values, width, height) {
+    const size = width * height;
+    const gx = new Float64Array(size);
+    const gy = new Float64Array(size);
+    const magnitude = new Float64Array(size);
+
+    // Edge pixels reuse their nearest neighbour
+    const at = (x, y) =>
+        values[
+            Math.max(0, Math.min(height - 1, y)) * width +
+                Math.max(0, Math.min(width - 1, x))
+        ];
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const index = y * width + x;
+
+            gx[index] =
+                at(x + 1, y - 1) +
+                2 * at(x + 1, y) +
+                at(x + 1, y + 1) -
+                at(x - 1, y - 1) -
+                2 * at(x - 1, y) -
+                at(x - 1, y + 1);
+            gy[index] =
+                at(x - 1, y + 1) +
+                2 * at(x, y + 1) +
+                at(x + 1, y + 1) -
+                at(x - 1, y - 1) -
+                2 * at(x, y - 1) -
+                at(x + 1, y - 1);
+            magnitude[index] = Math.hypot(gx[index], gy[index]) / MAX_MAGNITUDE;
+        }
+    }
+
+    return { gx, gy, magnitude };
+}
+
+/**
+ * Pick the glyph drawn along an edge with the given gradient
+ * @param {number} gx - Horizontal gradient (positive when brighter to the right)
+ * @param {number} gy - Vertical gradient (positive when brighter below)
+ * @returns {string} One of | / - _ \
+ */
+function edgeGlyph(gx, gy) {
+    // Gradient orientation folded into 0-180°; edges run perpendicular to it
+    let angle = (Math.atan2(gy, gx) * 180) / Math.PI;
+    if (angle < 0) angle += 180;
+
+    if (angle < 22.5 || angle >= 157.5) return "|";
+    if (angle < 67.5) return "/";
+    if (angle < 112.5) return gy < 0 ? "_" : "-";
+    return "\\";
+}
+
+/**
+ * Overlay directional glyphs on cells whose edge strength exceeds a threshold
+ * @param {string[]} chars - Character per cell, modified in place
+ * @param {ArrayLike<number>} values - Grayscale values (0-1) per cell
+ * @param {number} width - Cells per row
+ * @param {number} height - Number of rows
+ * @param {number} threshold - Minimum normalized magnitude (0-1)
+ * @returns {number} Number of cells replaced
+ */
+function overlayEdges(chars, values, width, height, threshold) {
+    const { gx, gy, magnitude } = sobel(values, width, height);
+    let replaced = 0;
+
+    for (let i = 0; i < chars.length; i++) {
+        if (magnitude[i] >= threshold && magnitude[i] > 0) {
+            chars[i] = edgeGlyph(gx[i], gy[i]);
+            replaced++;
+        }
+    }
+
+    return replaced;
+}
+
+module.exports = {
+    sobel,
+    edgeGlyph,
+    overlayEdges,
+};
@@ -0,0 +1,75 @@
+/**
+ * Typed errors for image input failures, each with a stable `code`, plus
+ * codes reported on batch results
+ */
+
+// Error codes callers can switch on
+const ERROR_CODES = {
+    UNSUPPORTED_FORMAT: "ERR_UNSUPPORTED_FORMAT",
+    CORRUPT_IMAGE: "ERR_CORRUPT_IMAGE",
+    IMAGE_TOO_LARGE: "ERR_IMAGE_TOO_LARGE",
+    IMAGE_PROCESSING: "ERR_IMAGE_PROCESSING",
+    OUTPUT_COLLISION: "ERR_OUTPUT_COLLISION",
+};
+
+/**
+ * Base class for image input errors
+ */
+class ImageError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {string} code - Stable error code
+     * @param {Object} [options] - Error options
+     * @param {Error} [options.cause] - Underlying error
+     */
+    constructor(message, code, options = {}) {
+        super(message, options);
+        this.name = this.constructor.name;
+        this.code = code;
+    }
+}
+
+/**
+ * The input is not in an image format we can read
+ */
+class UnsupportedFormatError extends ImageError {
+    constructor(message, options) {
+        super(message, ERROR_CODES.UNSUPPORTED_FORMAT, options);
+    }
+}
+
+/**
+ * The input looks like a supported image but cannot be decoded
+ */
+class CorruptImageError extends ImageError {
+    constructor(message, options) {
+        super(message, ERROR_CODES.CORRUPT_IMAGE, options);
+    }
+}
+
+/**
+ * The input exceeds the pixel limit images are decoded with
+ */
+class ImageTooLargeError extends ImageError {
+    constructor(message, options) {
+        super(message, ERROR_CODES.IMAGE_TOO_LARGE, options);
+    }
+}
+
+/**
+ * The image was read but could not be processed with the given options
+ */
+class ImageProcessingError extends ImageError {
+    constructor(message, options) {
+        super(message, ERROR_CODES.IMAGE_PROCESSING, options);
+    }
+}
+
+module.exports = {
+    ERROR_CODES,
+    ImageError,
+    UnsupportedFormatError,
+    CorruptImageError,
+    ImageTooLargeError,
+    ImageProcessingError,
+};
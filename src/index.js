@@ -6,6 +6,7 @@
  */
 
 const {
+    convertToGrid,
     convertToAscii,
     convertAndSave,
     saveToFile,
@@ -15,6 +16,9 @@ const {
 
 const {
     CHARSETS,
+    registerCharset,
+    unregisterCharset,
+    loadCharsetFile,
     getAvailableCharsets,
     getCharset,
     isValidCharset,
@@ -22,25 +26,145 @@ const {
 } = require("./charsets");
 
 const {
+    PRINTABLE_ASCII,
+    measureGlyphCoverage,
+    buildCharset,
+} = require("./charset-builder");
+
+const {
+    COLOR_MODES,
+    isValidColorMode,
+    rgbToAnsi16,
+    rgbToAnsi256,
+    ansiIndexToRgb,
+    quantizeColor,
+    rgbToHex,
+    hexToRgb,
+    colorEscape,
+    detectColorMode,
+} = require("./colors");
+
+const {
+    gridToText,
+    gridToAnsi,
+    gridToRuns,
+    gridToJson,
+} = require("./serializers");
+
+const {
+    OUTPUT_FORMATS,
+    IMAGE_FORMATS,
+    isValidFormat,
+    formatFromPath,
+    parseAnsiArt,
+    renderHtml,
+    renderAnimationHtml,
+    renderSvg,
+    renderToImage,
+    renderArt,
+} = require("./renderers");
+
+const {
+    DITHER_ALGORITHMS,
+    isValidDitherAlgorithm,
+    bayerMatrix,
+    ditherPlane,
+} = require("./dither");
+
+const { sobel, edgeGlyph, overlayEdges } = require("./edges");
+
+const {
+    DEFAULT_FRAME_DELAY,
+    convertAnimation,
+    playAnimation,
+    animationToJson,
+    renderAnimation,
+    saveFrames,
+} = require("./animation");
+
+const {
+    MODES,
+    CELL_GEOMETRY,
+    FIT_MODES,
+    ALPHA_MODES,
     isSupportedImageFormat,
+    sniffImageFormat,
+    detectImageFormat,
     fileExists,
+    commonDirectory,
+    resolveInputFiles,
+    inputRoot,
+    watchDirectory,
     ensureDir,
     generateOutputPath,
+    DEFAULT_OUTPUT_TEMPLATE,
+    OUTPUT_TEMPLATE_PLACEHOLDERS,
+    expandOutputTemplate,
+    templateOutputPath,
+    hashContent,
     validateOptions,
     formatFileSize,
     formatProgress,
+    defaultConcurrency,
+    mapWithConcurrency,
     calculateDimensions,
 } = require("./utils");
 
+const {
+    ERROR_CODES,
+    ImageError,
+    UnsupportedFormatError,
+    CorruptImageError,
+    ImageTooLargeError,
+    ImageProcessingError,
+} = require("./errors");
+
+const {
+    MANIFEST_FILENAME,
+    MANIFEST_VERSION,
+    hashOptions,
+    loadManifest,
+    saveManifest,
+    manifestKey,
+    describeOutput,
+    isUpToDate,
+} = require("./manifest");
+
+const {
+    CONFIG_FILENAMES,
+    PACKAGE_CONFIG_KEY,
+    readConfigFile,
+    findConfig,
+    loadConfig,
+    resolveConfig,
+} = require("./config");
+
+const {
+    DEFAULT_MAX_BODY_SIZE,
+    RESPONSE_TYPES,
+    createServer,
+    serve,
+} = require("./server");
+
+const { EventEmitter } = require("events");
 const fs = require("fs").promises;
 const path = require("path");
-const { glob } = require("glob");
+const { hasMagic } = require("glob");
 
 /**
  * Main ASCII-PIC class for easy usage
+ *
+ * Emits progress events:
+ * - `start` { total } before a batch begins
+ * - `file:start` { file, variant, index, total } as each file begins
+ * - `file:done` { file, variant, index, total, completed, result, processingTime }
+ * - `file:error` { file, variant, index, total, completed, error, processingTime }
+ * - `file:skip` { file, variant, index, total, completed, result } for unchanged outputs
+ * - `done` { total, completed, succeeded, skipped, failed, aborted, elapsed } once a batch ends
  */
-class AsciiPic {
+class AsciiPic extends EventEmitter {
     constructor(defaultOptions = {}) {
+        super();
         this.defaultOptions = validateOptions(defaultOptions);
     }
 
@@ -48,11 +172,37 @@ class AsciiPic {
      * Convert single image to ASCII
      * @param {string|Buffer} input - Image input
      * @param {Object} options - Conversion options
+     * @param {AbortSignal} [options.signal] - Cancels the conversion
      * @returns {Promise<string>} ASCII art
      */
     async convert(input, options = {}) {
         const mergedOptions = { ...this.defaultOptions, ...options };
-        return await convertToAscii(input, mergedOptions);
+        const file = typeof input === "string" ? input : "[Buffer]";
+        const event = { file, variant: 0, index: 0, total: 1 };
+        const startTime = Date.now();
+
+        this.emit("file:start", event);
+
+        try {
+            const asciiArt = await convertToAscii(input, mergedOptions);
+            this.emit("file:done", {
+                ...event,
+                completed: 1,
+                result: asciiArt,
+                processingTime: Date.now() - startTime,
+            });
+            return asciiArt;
+        } catch (error) {
+            if (error.name !== "AbortError") {
+                this.emit("file:error", {
+                    ...event,
+                    completed: 1,
+                    error,
+                    processingTime: Date.now() - startTime,
+                });
+            }
+            throw error;
+        }
     }
 
     /**
@@ -60,70 +210,526 @@ class AsciiPic {
      * @param {string|Buffer} input - Image input
      * @param {string} output - Output file path
      * @param {Object} options - Conversion options
+     * @param {AbortSignal} [options.signal] - Cancels the conversion
      * @returns {Promise<Object>} Result object
      */
     async convertToFile(input, output, options = {}) {
         const mergedOptions = { ...this.defaultOptions, ...options };
-        return await convertAndSave(input, output, mergedOptions);
+        const event = { file: input, variant: 0, index: 0, total: 1 };
+
+        this.emit("file:start", event);
+        const result = await convertAndSave(input, output, mergedOptions);
+        this.emitResult(result, { ...event, completed: 1 });
+
+        return result;
+    }
+
+    /**
+     * Emit file:done or file:error for a conversion result
+     * @param {Object} result - Result of convertAndSave
+     * @param {Object} event - Event fields for the file
+     * @private
+     */
+    emitResult(result, event) {
+        if (result.skipped) {
+            this.emit("file:skip", { ...event, result });
+        } else if (result.success) {
+            this.emit("file:done", {
+                ...event,
+                result,
+                processingTime: result.processingTime,
+            });
+        } else {
+            this.emit("file:error", {
+                ...event,
+                error: Object.assign(new Error(result.error), {
+                    code: result.code,
+                }),
+                result,
+                processingTime: result.processingTime,
+            });
+        }
+    }
+
+    /**
+     * Convert one planned batch output, reusing it when unchanged
+     * @param {Object} plan - Planned output { inputFile, options, outputFile, collidesWith }
+     * @param {string} manifestPath - Manifest file path
+     * @param {Object} [cache] - Incremental state { manifest, force }
+     * @returns {Promise<Object>} Result object, with skipped set for reused outputs
+     * @private
+     */
+    async convertPlan(plan, manifestPath, cache) {
+        const { inputFile, options, outputFile, collidesWith } = plan;
+
+        if (collidesWith) {
+            return {
+                success: false,
+                inputFile,
+                outputFile,
+                error: `Output ${outputFile} collides with the output of ${collidesWith}`,
+                code: ERROR_CODES.OUTPUT_COLLISION,
+                processingTime: 0,
+            };
+        }
+
+        let described = null;
+        if (cache) {
+            try {
+                described = await describeOutput(
+                    manifestPath,
+                    inputFile,
+                    outputFile,
+                    options
+                );
+            } catch {
+                // Unreadable sources are reported by the conversion below
+            }
+        }
+
+        if (
+            described &&
+            !cache.force &&
+            (await isUpToDate(
+                cache.manifest,
+                described.key,
+                described.entry,
+                outputFile
+            ))
+        ) {
+            const stats = await fs.stat(outputFile);
+            return {
+                success: true,
+                skipped: true,
+                inputFile,
+                outputFile,
+                format: options.format,
+                fileSize: stats.size,
+                processingTime: 0,
+            };
+        }
+
+        await ensureDir(path.dirname(outputFile));
+        const result = await convertAndSave(inputFile, outputFile, options);
+
+        if (described) {
+            if (result.success) {
+                cache.manifest.entries[described.key] = described.entry;
+            } else {
+                delete cache.manifest.entries[described.key];
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Plan one output per file and variant
+     * @param {string[]} inputFiles - Input image paths
+     * @param {Object} settings - Output settings
+     * @param {string} settings.baseDir - Root of the source tree
+     * @param {string} [settings.outputDir] - Directory mirroring the source tree
+     * @param {string} [settings.outputTemplate] - Output path template
+     * @param {Object[]} [settings.variants] - Option overrides, one output per file each
+     * @param {Object} settings.convertOptions - Conversion options shared by all variants
+     * @returns {Promise<Object[]>} Plans as { inputFile, variant, options, outputFile, collidesWith }
+     */
+    async planOutputs(inputFiles, settings) {
+        const {
+            baseDir,
+            outputDir,
+            outputTemplate = DEFAULT_OUTPUT_TEMPLATE,
+            variants = [{}],
+            convertOptions,
+        } = settings;
+
+        if (!Array.isArray(variants) || variants.length === 0) {
+            throw new Error("Variants must be a non-empty array of options");
+        }
+
+        // Plans are made up front so colliding names are reported rather
+        // than clobbered
+        const date = new Date();
+        const plans = [];
+        for (const inputFile of inputFiles) {
+            for (let variant = 0; variant < variants.length; variant++) {
+                const fileOptions = validateOptions({
+                    ...convertOptions,
+                    ...variants[variant],
+                });
+
+                plans.push({
+                    inputFile,
+                    variant,
+                    options: fileOptions,
+                    outputFile: await templateOutputPath(
+                        outputTemplate,
+                        inputFile,
+                        {
+                            outputDir,
+                            baseDir,
+                            width: fileOptions.width,
+                            charset: fileOptions.charsetChars
+                                ? "custom"
+                                : fileOptions.charset,
+                            mode: fileOptions.mode,
+                            format: fileOptions.format,
+                            date,
+                        }
+                    ),
+                });
+            }
+        }
+        const claimed = new Map();
+        for (const plan of plans) {
+            const key = path.resolve(plan.outputFile);
+            if (claimed.has(key)) {
+                plan.collidesWith = claimed.get(key);
+            } else {
+                claimed.set(key, plan.inputFile);
+            }
+        }
+
+        return plans;
     }
 
     /**
      * Batch convert multiple files
-     * @param {string|string[]} inputPattern - Glob pattern or array of files
+     * @param {string|string[]} inputPattern - Directory, glob pattern or array of files
      * @param {Object} options - Conversion options
-     * @returns {Promise<Object[]>} Array of results
+     * @param {string} [options.outputDir] - Directory mirroring the source tree
+     * @param {boolean} [options.recursive=false] - Descend into subdirectories of a directory input
+     * @param {string|string[]} [options.exclude] - Globs of files to skip
+     * @param {string} [options.baseDir] - Root of the source tree (defaults to the input's)
+     * @param {string} [options.outputTemplate] - Output path template (see templateOutputPath)
+     * @param {Object[]} [options.variants] - Option overrides, one output per file each
+     * @param {boolean} [options.incremental=false] - Skip outputs unchanged since the last run
+     * @param {boolean} [options.force=false] - Reconvert everything, still updating the manifest
+     * @param {string} [options.manifestPath] - Manifest location (defaults to the output or source root)
+     * @param {number} [options.concurrency] - Files converted at once (defaults to CPU count)
+     * @param {AbortSignal} [options.signal] - Stops starting new files and rejects with its reason
+     * @returns {Promise<Object[]>} Array of results, in input order
      */
     async batchConvert(inputPattern, options = {}) {
         const mergedOptions = { ...this.defaultOptions, ...options };
 
-        // Resolve input files
-        let inputFiles;
-        if (Array.isArray(inputPattern)) {
-            inputFiles = inputPattern;
-        } else if (typeof inputPattern === "string") {
-            inputFiles = await glob(inputPattern);
-        } else {
-            throw new Error(
-                "Input must be a string pattern or array of file paths"
-            );
-        }
+        // Resolve input files and the source tree they are mirrored from
+        const {
+            recursive,
+            exclude,
+            baseDir: sourceRoot,
+            ...batchOptions
+        } = mergedOptions;
+        const resolved = await resolveInputFiles(inputPattern, {
+            recursive,
+            exclude,
+        });
+        const { files } = resolved;
+        const baseDir = sourceRoot || resolved.baseDir;
 
-        // Filter for supported image formats
-        inputFiles = inputFiles.filter((file) => isSupportedImageFormat(file));
+        // Filter for supported image formats, judged by file content
+        const inputFiles = [];
+        for (const file of files) {
+            if (isSupportedImageFormat(file)) {
+                inputFiles.push(file);
+            }
+        }
 
         if (inputFiles.length === 0) {
             throw new Error("No supported image files found");
         }
 
-        // Process each file
-        const results = [];
-        const { outputDir, ...convertOptions } = mergedOptions;
+        const {
+            outputDir,
+            outputTemplate,
+            variants,
+            concurrency = defaultConcurrency(),
+            incremental = false,
+            force = false,
+            manifestPath = outputDir
+                ? path.join(outputDir, MANIFEST_FILENAME)
+                : path.join(baseDir, MANIFEST_FILENAME),
+            ...convertOptions
+        } = batchOptions;
 
-        for (let i = 0; i < inputFiles.length; i++) {
-            const inputFile = inputFiles[i];
-            const outputFile = generateOutputPath(inputFile, outputDir);
+        const plans = await this.planOutputs(inputFiles, {
+            baseDir,
+            outputDir,
+            outputTemplate,
+            variants,
+            convertOptions,
+        });
 
-            // Ensure output directory exists
-            if (outputDir) {
-                await ensureDir(outputDir);
+        // Incremental runs reuse outputs recorded in the manifest; forced
+        // runs reconvert everything but still record the results
+        const cache = incremental
+            ? { manifest: await loadManifest(manifestPath), force }
+            : null;
+
+        const { signal } = convertOptions;
+        const total = plans.length;
+        const startTime = Date.now();
+        let completed = 0;
+        let succeeded = 0;
+        let skipped = 0;
+
+        this.emit("start", { total });
+
+        // Process files through a bounded pool, keeping input order
+        let results;
+        try {
+            results = await mapWithConcurrency(
+                plans,
+                concurrency,
+                async (plan, index) => {
+                    const event = {
+                        file: plan.inputFile,
+                        variant: plan.variant,
+                        index,
+                        total,
+                    };
+                    this.emit("file:start", event);
+
+                    // Convert file; failures are reported in the result
+                    const result = await this.convertPlan(
+                        plan,
+                        manifestPath,
+                        cache
+                    );
+                    result.progress = formatProgress(
+                        index + 1,
+                        total,
+                        path.basename(plan.inputFile)
+                    );
+
+                    completed++;
+                    if (result.skipped) skipped++;
+                    else if (result.success) succeeded++;
+                    this.emitResult(result, { ...event, completed });
+
+                    return result;
+                },
+                { signal }
+            );
+        } finally {
+            if (cache) {
+                await saveManifest(manifestPath, cache.manifest);
             }
 
-            // Convert file
-            const result = await convertAndSave(
-                inputFile,
-                outputFile,
-                convertOptions
+            this.emit("done", {
+                total,
+                completed,
+                succeeded,
+                skipped,
+                failed: completed - succeeded - skipped,
+                aborted: Boolean(signal?.aborted),
+                elapsed: Date.now() - startTime,
+            });
+        }
+
+        return results;
+    }
+
+    /**
+     * Watch images and reconvert them when they are added or change
+     *
+     * Emits `watch:change` { files } before reconverting, `watch:preview`
+     * { file, art } in preview mode, `watch:delete` { file, outputFile } for
+     * removed outputs and `watch:error` { error } when a run fails, on top of
+     * the conversion events.
+     * @param {string} inputPattern - Directory or glob pattern
+     * @param {Object} options - Conversion and batch options, as for batchConvert
+     * @param {number} [options.debounce=100] - Milliseconds to wait for changes to settle
+     * @param {boolean} [options.preview=false] - Emit art instead of writing files
+     * @param {boolean} [options.deleteOutputs=false] - Delete the outputs of removed sources
+     * @param {boolean} [options.initial=true] - Convert every matching image on start
+     * @returns {Promise<Object>} Watcher with close() once watching has begun
+     */
+    async watch(inputPattern, options = {}) {
+        const {
+            debounce = 100,
+            preview = false,
+            deleteOutputs = false,
+            initial = true,
+            ...batchOptions
+        } = options;
+        const { recursive = false, exclude } = {
+            ...this.defaultOptions,
+            ...batchOptions,
+        };
+
+        // Outputs mirror the watched root, which stays fixed as files come
+        // and go
+        const root = await inputRoot(inputPattern);
+
+        // A missing path would otherwise quietly watch its parent, or the
+        // current directory
+        if (!(await fileExists(hasMagic(inputPattern) ? root : inputPattern))) {
+            throw new Error(
+                `Cannot watch ${inputPattern}: no such file or directory`
+            );
+        }
+        const runOptions = { ...batchOptions, baseDir: path.resolve(root) };
+
+        // Supported images seen so far, by modification signature, and the
+        // outputs written for them
+        let known = new Map();
+        const written = new Map();
+
+        // Sources converted before watching began have their outputs
+        // planned again, which cannot recover a {hash} of a deleted file
+        const outputsOf = async (file) => {
+            if (written.has(file)) {
+                return written.get(file);
+            }
+
+            const { outputDir, outputTemplate, variants, ...convertOptions } = {
+                ...this.defaultOptions,
+                ...runOptions,
+            };
+            try {
+                const plans = await this.planOutputs([file], {
+                    baseDir: runOptions.baseDir,
+                    outputDir,
+                    outputTemplate,
+                    variants,
+                    convertOptions,
+                });
+                return plans.map((plan) => plan.outputFile);
+            } catch {
+                return [];
+            }
+        };
+
+        const scan = async () => {
+            const { files } = await resolveInputFiles(inputPattern, {
+                recursive,
+                exclude,
+            });
+            const current = new Map();
+
+            for (const file of files) {
+                try {
+                    const stats = await fs.stat(file);
+                    const signature = `${stats.mtimeMs}:${stats.size}`;
+                    if (
+                        known.get(file) === signature ||
+                        isSupportedImageFormat(file)
+                    ) {
+                        current.set(file, signature);
+                    }
+                } catch {
+                    // Removed while scanning, picked up on the next run
+                }
+            }
+
+            const changed = [...current.keys()].filter(
+                (file) => known.get(file) !== current.get(file)
             );
-            result.progress = formatProgress(
-                i + 1,
-                inputFiles.length,
-                path.basename(inputFile)
+            const removed = [...known.keys()].filter(
+                (file) => !current.has(file)
             );
+            known = current;
+
+            return { changed, removed };
+        };
+
+        const run = async () => {
+            const { changed, removed } = await scan();
+
+            if (deleteOutputs) {
+                for (const file of removed) {
+                    for (const outputFile of await outputsOf(file)) {
+                        try {
+                            await fs.unlink(outputFile);
+                            this.emit("watch:delete", { file, outputFile });
+                        } catch {
+                            // Output was never written or is already gone
+                        }
+                    }
+                    written.delete(file);
+                }
+            }
+
+            if (changed.length === 0) {
+                return;
+            }
+
+            this.emit("watch:change", { files: changed });
+
+            if (preview) {
+                for (const file of changed) {
+                    try {
+                        const art = await this.convert(file, batchOptions);
+                        this.emit("watch:preview", { file, art });
+                    } catch {
+                        // Reported through file:error, other files still draw
+                    }
+                }
+            } else {
+                const results = await this.batchConvert(changed, runOptions);
+                for (const file of changed) written.delete(file);
+                for (const { success, inputFile, outputFile } of results) {
+                    if (success) {
+                        written.set(inputFile, [
+                            ...(written.get(inputFile) || []),
+                            outputFile,
+                        ]);
+                    }
+                }
+            }
+        };
+
+        // Runs never overlap: changes during a run schedule one more
+        let timer = null;
+        let running = null;
+        let pending = false;
 
-            results.push(result);
+        const trigger = () => {
+            if (running) {
+                pending = true;
+                return;
+            }
+
+            running = run()
+                .catch((error) => this.emit("watch:error", { error }))
+                .finally(() => {
+                    running = null;
+                    if (pending) {
+                        pending = false;
+                        trigger();
+                    }
+                });
+        };
+
+        if (initial) {
+            trigger();
+            await running;
+        } else {
+            await scan();
         }
 
-        return results;
+        const watcher = await watchDirectory(root, {
+            recursive: recursive || inputPattern.includes("**"),
+            onChange: () => {
+                clearTimeout(timer);
+                timer = setTimeout(trigger, debounce);
+            },
+            onError: (error) => this.emit("watch:error", { error }),
+        });
+
+        return {
+            /**
+             * Stop watching, waiting for a run in progress to finish
+             * @returns {Promise<void>}
+             */
+            close: async () => {
+                clearTimeout(timer);
+                watcher.close();
+                pending = false;
+                await running;
+            },
+        };
     }
 }
 
@@ -132,6 +738,7 @@ class AsciiPic {
  */
 const api = {
     // Core functions
+    convertToGrid,
     convertToAscii,
     convertAndSave,
     saveToFile,
@@ -139,21 +746,124 @@ const api = {
     previewAscii,
 
     // Utility functions
+    MODES,
+    CELL_GEOMETRY,
+    FIT_MODES,
+    ALPHA_MODES,
     isSupportedImageFormat,
+    sniffImageFormat,
+    detectImageFormat,
     fileExists,
+    commonDirectory,
+    resolveInputFiles,
+    inputRoot,
     ensureDir,
     generateOutputPath,
+    DEFAULT_OUTPUT_TEMPLATE,
+    OUTPUT_TEMPLATE_PLACEHOLDERS,
+    expandOutputTemplate,
+    templateOutputPath,
+    hashContent,
     validateOptions,
     formatFileSize,
     formatProgress,
+    defaultConcurrency,
+    mapWithConcurrency,
     calculateDimensions,
 
     // Charset functions
     CHARSETS,
+    registerCharset,
+    unregisterCharset,
+    loadCharsetFile,
     getAvailableCharsets,
     getCharset,
     isValidCharset,
     getCharsetInfo,
+    PRINTABLE_ASCII,
+    measureGlyphCoverage,
+    buildCharset,
+
+    // Color functions
+    COLOR_MODES,
+    isValidColorMode,
+    rgbToAnsi16,
+    rgbToAnsi256,
+    ansiIndexToRgb,
+    quantizeColor,
+    rgbToHex,
+    hexToRgb,
+    colorEscape,
+    detectColorMode,
+
+    // Grid serializers
+    gridToText,
+    gridToAnsi,
+    gridToRuns,
+    gridToJson,
+
+    // Renderer functions
+    OUTPUT_FORMATS,
+    IMAGE_FORMATS,
+    isValidFormat,
+    formatFromPath,
+    parseAnsiArt,
+    renderHtml,
+    renderAnimationHtml,
+    renderSvg,
+    renderToImage,
+    renderArt,
+
+    // Dithering functions
+    DITHER_ALGORITHMS,
+    isValidDitherAlgorithm,
+    bayerMatrix,
+    ditherPlane,
+
+    // Edge detection functions
+    sobel,
+    edgeGlyph,
+    overlayEdges,
+
+    // Animation functions
+    DEFAULT_FRAME_DELAY,
+    convertAnimation,
+    playAnimation,
+    animationToJson,
+    renderAnimation,
+    saveFrames,
+
+    // Error classes
+    ERROR_CODES,
+    ImageError,
+    UnsupportedFormatError,
+    CorruptImageError,
+    ImageTooLargeError,
+    ImageProcessingError,
+
+    // Incremental manifest functions
+    MANIFEST_FILENAME,
+    MANIFEST_VERSION,
+    hashOptions,
+    loadManifest,
+    saveManifest,
+    manifestKey,
+    describeOutput,
+    isUpToDate,
+
+    // Config functions
+    CONFIG_FILENAMES,
+    PACKAGE_CONFIG_KEY,
+    readConfigFile,
+    findConfig,
+    loadConfig,
+    resolveConfig,
+
+    // Server functions
+    DEFAULT_MAX_BODY_SIZE,
+    RESPONSE_TYPES,
+    createServer,
+    serve,
 
     // Main class
     AsciiPic,
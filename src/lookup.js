@@ -0,0 +1,96 @@
+/**
+ * Lookup tables mapping 8-bit gray levels to brightness and glyphs
+ *
+ * Grayscale pixels only take 256 values, so the contrast curve and the
+ * charset mapping are computed once per level instead of once per pixel.
+ */
+
+// Tables kept per option combination before the cache is reset
+const MAX_CACHED_TABLES = 64;
+
+const brightnessTables = new Map();
+const glyphTables = new Map();
+
+/**
+ * Get a cached table, building it on first use
+ * @param {Map} cache - Table cache
+ * @param {string} key - Option combination the table is built from
+ * @param {Function} build - Builds the table
+ * @returns {*} The table
+ */
+function cachedTable(cache, key, build) {
+    let table = cache.get(key);
+
+    if (!table) {
+        // Inline charsets make the key space unbounded
+        if (cache.size >= MAX_CACHED_TABLES) {
+            cache.clear();
+        }
+        table = build();
+        cache.set(key, table);
+    }
+
+    return table;
+}
+
+/**
+ * Get the brightness of each gray level after contrast and inversion
+ * @param {number} contrast - Contrast exponent divisor
+ * @param {boolean} invert - Whether brightness is inverted
+ * @returns {Float64Array} Brightness (0-1) indexed by gray level (0-255)
+ */
+function brightnessTable(contrast, invert) {
+    return cachedTable(brightnessTables, `${contrast}:${invert}`, () => {
+        const table = new Float64Array(256);
+
+        for (let level = 0; level < 256; level++) {
+            let value = level / 255;
+
+            // Apply contrast adjustment
+            value = Math.pow(value, 1 / contrast);
+
+            // Clamp brightness
+            value = Math.max(0, Math.min(1, value));
+
+            // Invert if requested
+            if (invert) {
+                value = 1 - value;
+            }
+
+            table[level] = value;
+        }
+
+        return table;
+    });
+}
+
+/**
+ * Get the charset character of each gray level
+ * @param {string[]} charset - Characters ordered from densest to lightest,
+ *   one code point each
+ * @param {number} contrast - Contrast exponent divisor
+ * @param {boolean} invert - Whether brightness is inverted
+ * @param {number} [scale=1] - Factor applied to brightness before mapping
+ * @returns {string[]} Character indexed by gray level (0-255)
+ */
+function glyphTable(charset, contrast, invert, scale = 1) {
+    const key = `${contrast}:${invert}:${scale}:${charset.join("")}`;
+
+    return cachedTable(glyphTables, key, () => {
+        const brightness = brightnessTable(contrast, invert);
+        const table = new Array(256);
+
+        for (let level = 0; level < 256; level++) {
+            const value = brightness[level] * scale;
+            const charIndex = Math.floor(value * (charset.length - 1));
+            table[level] = charset[charset.length - 1 - charIndex];
+        }
+
+        return table;
+    });
+}
+
+module.exports = {
+    brightnessTable,
+    glyphTable,
+};
@@ -0,0 +1,157 @@
+/**
+ * Manifest of converted outputs for incremental batch runs
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { hashContent, fileExists } = require("./utils");
+const { getCharset } = require("./charsets");
+
+// Manifest file written alongside batch outputs
+const MANIFEST_FILENAME = ".ascii-pic-manifest.json";
+
+// Bumped when the entry layout changes; older manifests are discarded
+const MANIFEST_VERSION = 1;
+
+// Options that do not affect the output contents
+const UNHASHED_OPTIONS = ["signal"];
+
+/**
+ * Serialize a value to JSON with object keys sorted
+ * @param {*} value - Value to serialize
+ * @returns {string} Deterministic JSON
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(",")}]`;
+    }
+
+    if (value && typeof value === "object") {
+        return `{${Object.keys(value)
+            .filter((key) => value[key] !== undefined)
+            .sort()
+            .map(
+                (key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`
+            )
+            .join(",")}}`;
+    }
+
+    return JSON.stringify(value);
+}
+
+/**
+ * Hash the conversion options that determine an output
+ * @param {Object} options - Validated conversion options
+ * @returns {string} SHA-1 hex digest
+ */
+function hashOptions(options) {
+    const hashed = { ...options };
+    UNHASHED_OPTIONS.forEach((key) => delete hashed[key]);
+
+    // Registered charsets can change under the same name, so hash the
+    // characters the conversion will actually use
+    hashed.charset = options.charsetChars || getCharset(options.charset);
+
+    return hashContent(stableStringify(hashed));
+}
+
+/**
+ * Load a manifest, starting fresh when it is missing or unreadable
+ * @param {string} manifestPath - Manifest file path
+ * @returns {Promise<Object>} Manifest as { version, entries }
+ */
+async function loadManifest(manifestPath) {
+    try {
+        const manifest = JSON.parse(await fs.readFile(manifestPath, "utf8"));
+        if (manifest.version === MANIFEST_VERSION && manifest.entries) {
+            return manifest;
+        }
+    } catch {
+        // Missing or corrupt manifests just mean nothing is cached
+    }
+
+    return { version: MANIFEST_VERSION, entries: {} };
+}
+
+/**
+ * Write a manifest to disk
+ * @param {string} manifestPath - Manifest file path
+ * @param {Object} manifest - Manifest as { version, entries }
+ */
+async function saveManifest(manifestPath, manifest) {
+    await fs.mkdir(path.dirname(manifestPath), { recursive: true });
+    await fs.writeFile(
+        manifestPath,
+        JSON.stringify(manifest, null, 2) + "\n",
+        "utf8"
+    );
+}
+
+/**
+ * Get the manifest key of an output file
+ * @param {string} manifestPath - Manifest file path
+ * @param {string} outputFile - Output file path
+ * @returns {string} Output path relative to the manifest, with forward slashes
+ */
+function manifestKey(manifestPath, outputFile) {
+    return path
+        .relative(
+            path.dirname(path.resolve(manifestPath)),
+            path.resolve(outputFile)
+        )
+        .split(path.sep)
+        .join("/");
+}
+
+/**
+ * Build the manifest entry describing an output
+ * @param {string} manifestPath - Manifest file path
+ * @param {string} inputFile - Source image path
+ * @param {string} outputFile - Output file path
+ * @param {Object} options - Validated conversion options
+ * @returns {Promise<Object>} { key, entry } with entry as { source, sourceHash, optionsHash, output }
+ */
+async function describeOutput(manifestPath, inputFile, outputFile, options) {
+    const key = manifestKey(manifestPath, outputFile);
+
+    return {
+        key,
+        entry: {
+            source: manifestKey(manifestPath, inputFile),
+            sourceHash: hashContent(await fs.readFile(inputFile)),
+            optionsHash: hashOptions(options),
+            output: key,
+        },
+    };
+}
+
+/**
+ * Check whether an output is unchanged since the manifest was written
+ * @param {Object} manifest - Manifest as { version, entries }
+ * @param {string} key - Manifest key of the output
+ * @param {Object} entry - Current entry from describeOutput
+ * @param {string} outputFile - Output file path
+ * @returns {Promise<boolean>} True if the output can be reused
+ */
+async function isUpToDate(manifest, key, entry, outputFile) {
+    const recorded = manifest.entries[key];
+
+    return Boolean(
+        recorded &&
+            recorded.source === entry.source &&
+            recorded.sourceHash === entry.sourceHash &&
+            recorded.optionsHash === entry.optionsHash &&
+            (await fileExists(outputFile))
+    );
+}
+
+module.exports = {
+    MANIFEST_FILENAME,
+    MANIFEST_VERSION,
+    hashOptions,
+    loadManifest,
+    saveManifest,
+    manifestKey,
+    describeOutput,
+    isUpToDate,
+};
@@ -0,0 +1,323 @@
+/**
+ * Image pre-processing applied before conversion
+ */
+
+const sharp = require("sharp");
+
+// Steps in the order they are applied
+const PREPROCESS_STEPS = [
+    "autoOrient",
+    "crop",
+    "trim",
+    "rotate",
+    "flip",
+    "flop",
+    "brightness",
+    "gamma",
+    "normalize",
+    "equalize",
+    "blur",
+    "sharpen",
+];
+
+// Equalization works on tiles of this fraction of the image size
+const EQUALIZE_TILES = 8;
+
+/**
+ * Parse one crop coordinate, a pixel count or a percentage
+ * @param {number|string} value - Coordinate such as 40 or "25%"
+ * @returns {Object|null} { value, percent }, or null if it is invalid
+ */
+function parseCropValue(value) {
+    if (typeof value === "number") {
+        return Number.isFinite(value) && value >= 0
+            ? { value, percent: false }
+            : null;
+    }
+
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(%?)\s*$/.exec(String(value));
+    if (!match) return null;
+
+    const number = parseFloat(match[1]);
+    if (match[2] && number > 100) return null;
+
+    return { value: number, percent: Boolean(match[2]) };
+}
+
+/**
+ * Parse a crop box from "left,top,width,height" or an object of the same
+ * @param {string|Object} crop - Crop box, each part in pixels or percent
+ * @returns {Object} Box of { left, top, width, height } parsed coordinates
+ */
+function parseCrop(crop) {
+    const parts =
+        typeof crop === "string"
+            ? crop.split(",")
+            : crop && [crop.left, crop.top, crop.width, crop.height];
+    const box = parts && parts.length === 4 ? parts.map(parseCropValue) : [];
+
+    if (box.length !== 4 || box.includes(null)) {
+        throw new Error(
+            "Crop must be left,top,width,height in pixels or percent, e.g. 10%,10%,80%,80%"
+        );
+    }
+
+    const [left, top, width, height] = box;
+    return { left, top, width, height };
+}
+
+/**
+ * Check whether any pre-processing step is requested
+ * @param {Object} options - Conversion options
+ * @returns {boolean} True if the image needs pre-processing
+ */
+function hasPreprocessing(options) {
+    return PREPROCESS_STEPS.some((step) => isActive(step, options[step]));
+}
+
+/**
+ * Check whether a step's option value asks for any change
+ * @param {string} step - Step name
+ * @param {*} value - Option value
+ * @returns {boolean} True if the step should run
+ */
+function isActive(step, value) {
+    switch (step) {
+        case "rotate":
+            return value !== undefined && value % 360 !== 0;
+        case "brightness":
+        case "gamma":
+            return value !== undefined && value !== 1;
+        default:
+            // A threshold of 0 is still a request, only false turns a step off
+            return value !== undefined && value !== false;
+    }
+}
+
+/**
+ * Validate pre-processing options, throwing on the first invalid one
+ * @param {Object} options - Conversion options
+ */
+function validatePreprocessOptions(options) {
+    const {
+        crop,
+        trim,
+        rotate,
+        brightness,
+        gamma,
+        blur,
+        sharpen,
+        autoOrient,
+        flip,
+        flop,
+        normalize,
+        equalize,
+    } = options;
+
+    if (crop !== undefined) {
+        parseCrop(crop);
+    }
+
+    if (
+        trim !== undefined &&
+        typeof trim !== "boolean" &&
+        !(typeof trim === "number" && trim >= 0)
+    ) {
+        throw new Error("Trim must be true or a non-negative threshold");
+    }
+
+    if (
+        rotate !== undefined &&
+        (typeof rotate !== "number" || !Number.isFinite(rotate))
+    ) {
+        throw new Error("Rotate must be an angle in degrees");
+    }
+
+    if (
+        brightness !== undefined &&
+        (!Number.isFinite(brightness) || brightness <= 0 || brightness > 10)
+    ) {
+        throw new Error("Brightness must be a number above 0 and up to 10");
+    }
+
+    if (
+        gamma !== undefined &&
+        (!Number.isFinite(gamma) || gamma < 1 || gamma > 3)
+    ) {
+        throw new Error("Gamma must be a number between 1 and 3");
+    }
+
+    if (
+        blur !== undefined &&
+        typeof blur !== "boolean" &&
+        !(typeof blur === "number" && blur >= 0.3 && blur <= 1000)
+    ) {
+        throw new Error("Blur must be true or a sigma between 0.3 and 1000");
+    }
+
+    if (
+        sharpen !== undefined &&
+        typeof sharpen !== "boolean" &&
+        !(typeof sharpen === "number" && sharpen > 0 && sharpen <= 10)
+    ) {
+        throw new Error("Sharpen must be true or a sigma above 0 and up to 10");
+    }
+
+    const flags = [
+        [autoOrient, "Auto orient"],
+        [flip, "Flip"],
+        [flop, "Flop"],
+        [normalize, "Normalize"],
+        [equalize, "Equalize"],
+    ];
+    for (const [value, label] of flags) {
+        if (value !== undefined && typeof value !== "boolean") {
+            throw new Error(`${label} must be true or false`);
+        }
+    }
+}
+
+/**
+ * Resolve a parsed crop box against the current image size
+ * @param {Object} crop - Box from parseCrop
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Object} Pixel box { left, top, width, height } inside the image
+ */
+function resolveCrop(crop, width, height) {
+    const resolve = ({ value, percent }, size) =>
+        Math.round(percent ? (value / 100) * size : value);
+
+    const left = Math.min(resolve(crop.left, width), width - 1);
+    const top = Math.min(resolve(crop.top, height), height - 1);
+
+    return {
+        left,
+        top,
+        width: Math.max(1, Math.min(resolve(crop.width, width), width - left)),
+        height: Math.max(
+            1,
+            Math.min(resolve(crop.height, height), height - top)
+        ),
+    };
+}
+
+/**
+ * Apply one step to an image
+ * @param {string} step - Step name
+ * @param {Object} options - Conversion options
+ * @param {sharp.Sharp} image - Image to transform
+ * @param {Object} size - Current { width, height }
+ * @returns {Object} { image, record } with record describing what was done
+ */
+function applyStep(step, options, image, size) {
+    const value = options[step];
+
+    switch (step) {
+        case "crop": {
+            const box = resolveCrop(parseCrop(value), size.width, size.height);
+            return { image: image.extract(box), record: { step, ...box } };
+        }
+        case "trim": {
+            const threshold = value === true ? 10 : value;
+            return {
+                image: image.trim({ threshold }),
+                record: { step, threshold },
+            };
+        }
+        case "rotate":
+            // Corners uncovered by angles off the right angles stay
+            // transparent
+            return {
+                image: (value % 90 === 0 ? image : image.ensureAlpha()).rotate(
+                    value,
+                    { background: { r: 0, g: 0, b: 0, alpha: 0 } }
+                ),
+                record: { step, angle: value },
+            };
+        case "flip":
+        case "flop":
+        case "normalize":
+            return { image: image[step](), record: { step } };
+        case "brightness":
+            return {
+                image: image.modulate({ brightness: value }),
+                record: { step, value },
+            };
+        case "gamma":
+            return { image: image.gamma(value), record: { step, value } };
+        case "equalize":
+            return {
+                image: image.clahe({
+                    width: Math.max(3, Math.round(size.width / EQUALIZE_TILES)),
+                    height: Math.max(
+                        3,
+                        Math.round(size.height / EQUALIZE_TILES)
+                    ),
+                }),
+                record: { step },
+            };
+        case "blur":
+        case "sharpen": {
+            const sigma = value === true ? undefined : value;
+            return {
+                image: sigma === undefined ? image[step]() : image[step](sigma),
+                record: sigma === undefined ? { step } : { step, sigma },
+            };
+        }
+        default:
+            throw new Error(`Unknown pre-processing step: ${step}`);
+    }
+}
+
+/**
+ * Apply the requested pre-processing steps in PREPROCESS_STEPS order
+ *
+ * Each step is materialized before the next so steps compose in that
+ * order rather than sharp's own pipeline order.
+ * @param {sharp.Sharp} source - Source image, left untouched
+ * @param {Object} options - Validated conversion options
+ * @returns {Promise<Object>} { image, width, height, steps } with a sharp instance of the result and the steps applied
+ */
+async function preprocessImage(source, options) {
+    const decode = async (image) => {
+        const { data, info } = await image
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+        const { width, height, channels } = info;
+
+        return {
+            image: sharp(data, { raw: { width, height, channels } }),
+            info,
+        };
+    };
+
+    // Orientation comes from EXIF data, which decoding drops, so it is
+    // applied to the source directly
+    const steps = [];
+    let image = source.clone();
+    if (isActive("autoOrient", options.autoOrient)) {
+        image = image.rotate();
+        steps.push({ step: "autoOrient" });
+    }
+
+    let info;
+    ({ image, info } = await decode(image));
+    for (const step of PREPROCESS_STEPS.slice(1)) {
+        if (!isActive(step, options[step])) continue;
+
+        const applied = applyStep(step, options, image, info);
+        ({ image, info } = await decode(applied.image));
+        steps.push(applied.record);
+    }
+
+    return { image, width: info.width, height: info.height, steps };
+}
+
+module.exports = {
+    PREPROCESS_STEPS,
+    parseCrop,
+    hasPreprocessing,
+    validatePreprocessOptions,
+    preprocessImage,
+};
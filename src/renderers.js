@@ -0,0 +1,491 @@
+/**
+ * Renderers turning converted ASCII art into HTML, SVG or image documents
+ */
+
+const path = require("path");
+const sharp = require("sharp");
+const { ansiIndexToRgb, rgbToHex } = require("./colors");
+const { gridToAnsi, gridToRuns, gridToJson } = require("./serializers");
+
+// Supported output formats and their file extensions
+const OUTPUT_FORMATS = {
+    text: "txt",
+    html: "html",
+    svg: "svg",
+    png: "png",
+    webp: "webp",
+    json: "json",
+};
+
+// Formats rasterised to an image buffer
+const IMAGE_FORMATS = ["png", "webp"];
+
+// Default look of rendered documents
+const RENDER_DEFAULTS = {
+    fontFamily: "Menlo, Consolas, 'DejaVu Sans Mono', monospace",
+    fontSize: 12,
+    lineHeight: 1.2,
+    padding: 0,
+    foreground: "#d4d4d4",
+    background: "#1e1e1e",
+    title: "ASCII Art",
+};
+
+// Values interpolated into CSS and SVG attributes: hex, named and
+// functional colors, and comma-separated font family names
+const CSS_COLOR_PATTERN =
+    /^(#[0-9a-f]{3,8}|[a-z]+|(rgb|hsl)a?\([\d\s.,%/+-]*\))$/i;
+const FONT_FAMILY_PATTERN = /^[\p{L}\p{N}\s,'"._-]+$/u;
+
+/**
+ * Merge render options over the defaults, ignoring unset values
+ *
+ * Colors and the font family end up in style sheets and attributes, so
+ * values that could break out of them are rejected.
+ * @param {Object} [options] - Render options
+ * @returns {Object} Resolved render options
+ */
+function resolveRenderOptions(options = {}) {
+    const resolved = { ...RENDER_DEFAULTS };
+
+    Object.entries(options).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) {
+            resolved[key] = value;
+        }
+    });
+
+    for (const [key, label] of [
+        ["foreground", "Foreground"],
+        ["background", "Background"],
+    ]) {
+        if (!CSS_COLOR_PATTERN.test(resolved[key])) {
+            throw new Error(`${label} must be a CSS color such as #1e1e1e`);
+        }
+    }
+
+    if (!FONT_FAMILY_PATTERN.test(resolved.fontFamily)) {
+        throw new Error(
+            "Font family must be a comma-separated list of font names"
+        );
+    }
+
+    return resolved;
+}
+
+/**
+ * Validate output format name
+ * @param {string} format - Format name
+ * @returns {boolean} True if valid
+ */
+function isValidFormat(format) {
+    return Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, format);
+}
+
+/**
+ * Pick the output format matching a file extension
+ * @param {string} filePath - Output file path
+ * @returns {string} Format name, "text" for unknown extensions
+ */
+function formatFromPath(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+
+    if (ext === ".html" || ext === ".htm") return "html";
+    if (ext === ".svg") return "svg";
+    if (ext === ".png") return "png";
+    if (ext === ".webp") return "webp";
+    if (ext === ".json") return "json";
+
+    return "text";
+}
+
+/**
+ * Round a coordinate for compact SVG output
+ * @param {number} value - Coordinate
+ * @returns {number} Value rounded to two decimals
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Escape text for use in HTML/XML content and attributes
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+    return text
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+/**
+ * Apply SGR parameters to the current foreground/background state
+ * @param {number[]} params - SGR parameters
+ * @param {Object} state - State holding fg and bg hex colors
+ */
+function applySgr(params, state) {
+    for (let i = 0; i < params.length; i++) {
+        const code = params[i];
+
+        if (code === 0) {
+            state.fg = null;
+            state.bg = null;
+        } else if (code === 38 || code === 48) {
+            const key = code === 38 ? "fg" : "bg";
+
+            if (params[i + 1] === 2) {
+                state[key] = rgbToHex(params.slice(i + 2, i + 5));
+                i += 4;
+            } else if (params[i + 1] === 5) {
+                state[key] = rgbToHex(ansiIndexToRgb(params[i + 2]));
+                i += 2;
+            }
+        } else if (code === 39) {
+            state.fg = null;
+        } else if (code === 49) {
+            state.bg = null;
+        } else if (code >= 30 && code <= 37) {
+            state.fg = rgbToHex(ansiIndexToRgb(code - 30));
+        } else if (code >= 90 && code <= 97) {
+            state.fg = rgbToHex(ansiIndexToRgb(code - 90 + 8));
+        } else if (code >= 40 && code <= 47) {
+            state.bg = rgbToHex(ansiIndexToRgb(code - 40));
+        } else if (code >= 100 && code <= 107) {
+            state.bg = rgbToHex(ansiIndexToRgb(code - 100 + 8));
+        }
+    }
+}
+
+/**
+ * Split (possibly ANSI-colored) ASCII art into lines of colored runs
+ * @param {string} asciiArt - ASCII art as returned by convertToAscii
+ * @returns {Array<Array<Object>>} Lines of { text, fg, bg } runs
+ */
+function parseAnsiArt(asciiArt) {
+    const lines = asciiArt.replace(/\n$/, "").split("\n");
+    const state = { fg: null, bg: null };
+
+    return lines.map((line) => {
+        const runs = [];
+        const pattern = /\x1b\[([0-9;]*)m/g;
+        let lastIndex = 0;
+        let match;
+
+        const pushText = (text) => {
+            if (!text) return;
+
+            const last = runs[runs.length - 1];
+            if (last && last.fg === state.fg && last.bg === state.bg) {
+                last.text += text;
+            } else {
+                runs.push({ text, fg: state.fg, bg: state.bg });
+            }
+        };
+
+        while ((match = pattern.exec(line)) !== null) {
+            pushText(line.slice(lastIndex, match.index));
+            applySgr(
+                match[1] === "" ? [0] : match[1].split(";").map(Number),
+                state
+            );
+            lastIndex = pattern.lastIndex;
+        }
+        pushText(line.slice(lastIndex));
+
+        return runs;
+    });
+}
+
+/**
+ * Get the colored runs of art given as a string or a conversion grid
+ * @param {string|Object} art - ASCII art string or grid from convertToGrid
+ * @returns {Array<Array<Object>>} Lines of { text, fg, bg } runs
+ */
+function toRuns(art) {
+    return typeof art === "string" ? parseAnsiArt(art) : gridToRuns(art);
+}
+
+/**
+ * Render the rows of ASCII art as HTML with colored spans
+ * @param {string|Object} art - ASCII art (plain or ANSI-colored) or grid
+ * @returns {string} HTML fragment for use inside <pre>
+ */
+function renderHtmlRows(art) {
+    return toRuns(art)
+        .map((runs) =>
+            runs
+                .map(({ text, fg, bg }) => {
+                    const styles = [];
+                    if (fg) styles.push(`color:${fg}`);
+                    if (bg) styles.push(`background:${bg}`);
+
+                    return styles.length > 0
+                        ? `<span style="${styles.join(";")}">${escapeXml(
+                              text
+                          )}</span>`
+                        : escapeXml(text);
+                })
+                .join("")
+        )
+        .join("\n");
+}
+
+/**
+ * Wrap content in a self-contained HTML page
+ * @param {Object} opts - Resolved render options
+ * @param {string} body - Content of the <pre> element
+ * @param {string} [script] - Inline script appended to the body
+ * @returns {string} HTML document
+ */
+function renderHtmlPage(opts, body, script = "") {
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeXml(opts.title)}</title>
+<style>
+body { margin: 0; background: ${opts.background}; }
+pre { margin: 0; padding: 1em; color: ${opts.foreground}; font-family: ${
+        opts.fontFamily
+    }; font-size: ${opts.fontSize}px; line-height: ${opts.lineHeight}; }
+</style>
+</head>
+<body>
+<pre>${body}</pre>
+${script ? `<script>\n${script}\n</script>\n` : ""}</body>
+</html>
+`;
+}
+
+/**
+ * Render ASCII art as a self-contained HTML page
+ * @param {string|Object} art - ASCII art (plain or ANSI-colored) or grid
+ * @param {Object} [options] - Render options
+ * @param {string} [options.fontFamily] - CSS font family
+ * @param {number} [options.fontSize=12] - Font size in pixels
+ * @param {number} [options.lineHeight=1.2] - Line height multiplier
+ * @param {string} [options.foreground] - Default text color
+ * @param {string} [options.background] - Page background color
+ * @param {string} [options.title] - Document title
+ * @returns {string} HTML document
+ */
+function renderHtml(art, options = {}) {
+    return renderHtmlPage(resolveRenderOptions(options), renderHtmlRows(art));
+}
+
+/**
+ * Render animation frames as a self-contained HTML player
+ * @param {Object[]} frames - Frames as { art|grid, delay } in playback order
+ * @param {Object} [options] - Render options, as for renderHtml
+ * @param {number} [options.loop=0] - Times to play, 0 loops forever
+ * @returns {string} HTML document
+ */
+function renderAnimationHtml(frames, options = {}) {
+    const { loop = 0, ...renderOptions } = options;
+    const rows = frames.map((frame) => renderHtmlRows(frame.grid || frame.art));
+    const delays = frames.map((frame) => frame.delay);
+
+    // Escape "<" so frame content cannot close the script element
+    const data = JSON.stringify({ rows, delays, loop }).replace(
+        /</g,
+        "\\u003c"
+    );
+    const script = `(function () {
+    var data = ${data};
+    var pre = document.querySelector("pre");
+    var index = 0;
+    var plays = 0;
+    function next() {
+        pre.innerHTML = data.rows[index];
+        var delay = data.delays[index];
+        index = (index + 1) % data.rows.length;
+        if (index === 0 && data.loop > 0 && ++plays >= data.loop) return;
+        setTimeout(next, delay);
+    }
+    next();
+})();`;
+
+    return renderHtmlPage(
+        resolveRenderOptions(renderOptions),
+        rows[0] || "",
+        script
+    );
+}
+
+/**
+ * Render ASCII art as an SVG document with one <text> element per row
+ * @param {string|Object} art - ASCII art (plain or ANSI-colored) or grid
+ * @param {Object} [options] - Render options
+ * @param {string} [options.fontFamily] - Font family
+ * @param {number} [options.fontSize=12] - Font size in pixels
+ * @param {number} [options.lineHeight=1.2] - Line height multiplier
+ * @param {number} [options.charWidth] - Cell width (defaults to 0.6 × fontSize)
+ * @param {number} [options.padding=0] - Padding around the art in pixels
+ * @param {string} [options.foreground] - Default text color
+ * @param {string} [options.background] - Background color
+ * @returns {string} SVG document
+ */
+function renderSvg(art, options = {}) {
+    const opts = resolveRenderOptions(options);
+    const charWidth = opts.charWidth || opts.fontSize * 0.6;
+    const rowHeight = opts.fontSize * opts.lineHeight;
+    const padding = opts.padding;
+
+    const lines = toRuns(art);
+    const columns = Math.max(
+        0,
+        ...lines.map((runs) =>
+            runs.reduce((sum, run) => sum + [...run.text].length, 0)
+        )
+    );
+    const width = Math.ceil(columns * charWidth + padding * 2);
+    const height = Math.ceil(lines.length * rowHeight + padding * 2);
+
+    const rows = lines.map((runs, y) => {
+        const top = y * rowHeight;
+        const baseline = top + opts.fontSize;
+        const backgrounds = [];
+        const spans = [];
+        let column = 0;
+
+        runs.forEach(({ text, fg, bg }) => {
+            const length = [...text].length;
+
+            if (bg) {
+                backgrounds.push(
+                    `<rect x="${round(column * charWidth)}" y="${round(
+                        top
+                    )}" width="${round(length * charWidth)}" height="${round(
+                        rowHeight
+                    )}" fill="${bg}"/>`
+                );
+            }
+
+            spans.push(
+                fg
+                    ? `<tspan fill="${fg}">${escapeXml(text)}</tspan>`
+                    : escapeXml(text)
+            );
+            column += length;
+        });
+
+        return (
+            backgrounds.join("") +
+            `<text y="${round(baseline)}" textLength="${round(
+                column * charWidth
+            )}" lengthAdjust="spacing">${spans.join("")}</text>`
+        );
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+<rect width="100%" height="100%" fill="${opts.background}"/>
+<g transform="translate(${padding} ${padding})" font-family="${escapeXml(
+        opts.fontFamily
+    )}" font-size="${opts.fontSize}" fill="${
+        opts.foreground
+    }" xml:space="preserve">
+${rows.join("\n")}
+</g>
+</svg>
+`;
+}
+
+/**
+ * Rasterise ASCII art to a PNG or WebP image
+ * @param {string|Object} art - ASCII art (plain or ANSI-colored) or grid
+ * @param {Object} [options] - Render options
+ * @param {string} [options.format='png'] - Image format (png, webp)
+ * @param {number} [options.cellWidth] - Cell width in pixels (defaults to 0.6 × fontSize)
+ * @param {number} [options.cellHeight] - Cell height in pixels (defaults to lineHeight × fontSize)
+ * @param {number} [options.fontSize] - Font size in pixels (defaults to fit the cell)
+ * @param {string} [options.fontFamily] - Font family
+ * @param {string} [options.foreground] - Default text color
+ * @param {string} [options.background] - Background color
+ * @param {number} [options.padding=0] - Padding around the art in pixels
+ * @returns {Promise<Buffer>} Encoded image
+ */
+async function renderToImage(art, options = {}) {
+    const { format = "png", cellWidth, cellHeight, ...svgOptions } = options;
+
+    if (!IMAGE_FORMATS.includes(format)) {
+        throw new Error(
+            `Unknown image format: ${format}. Available: ${IMAGE_FORMATS.join(
+                ", "
+            )}`
+        );
+    }
+
+    // Derive the font size from the cell height when only the cell is given
+    const fontSize =
+        svgOptions.fontSize ||
+        (cellHeight
+            ? cellHeight / RENDER_DEFAULTS.lineHeight
+            : RENDER_DEFAULTS.fontSize);
+
+    const svg = renderSvg(art, {
+        ...svgOptions,
+        fontSize,
+        charWidth: cellWidth,
+        lineHeight: cellHeight ? cellHeight / fontSize : svgOptions.lineHeight,
+    });
+
+    try {
+        const image = sharp(Buffer.from(svg));
+        return await (format === "webp"
+            ? image.webp()
+            : image.png()
+        ).toBuffer();
+    } catch (error) {
+        throw new Error(`Failed to render image: ${error.message}`);
+    }
+}
+
+/**
+ * Render ASCII art in the requested output format
+ * @param {string|Object} art - ASCII art (plain or ANSI-colored) or grid
+ * @param {string} [format='text'] - Output format (text, html, svg, png, webp, json)
+ * @param {Object} [options] - Render options
+ * @returns {Promise<string|Buffer>} Rendered document or image
+ */
+async function renderArt(art, format = "text", options = {}) {
+    switch (format) {
+        case "png":
+        case "webp":
+            return renderToImage(art, { ...options, format });
+        case "html":
+            return renderHtml(art, options);
+        case "svg":
+            return renderSvg(art, options);
+        case "json":
+            if (typeof art === "string") {
+                throw new Error(
+                    "JSON output requires a grid from convertToGrid"
+                );
+            }
+            return gridToJson(art);
+        case "text":
+            return typeof art === "string" ? art : gridToAnsi(art);
+        default:
+            throw new Error(
+                `Unknown output format: ${format}. Available: ${Object.keys(
+                    OUTPUT_FORMATS
+                ).join(", ")}`
+            );
+    }
+}
+
+module.exports = {
+    OUTPUT_FORMATS,
+    IMAGE_FORMATS,
+    isValidFormat,
+    formatFromPath,
+    parseAnsiArt,
+    renderHtml,
+    renderAnimationHtml,
+    renderSvg,
+    renderToImage,
+    renderArt,
+};
@@ -0,0 +1,150 @@
+/**
+ * Serializers turning a conversion grid into text, ANSI, colored runs or JSON
+ */
+
+const {
+    colorEscape,
+    quantizeColor,
+    rgbToHex,
+    ANSI_RESET,
+} = require("./colors");
+
+/**
+ * Get the color mode a grid was converted with
+ * @param {Object} grid - Conversion grid
+ * @returns {string} Color mode
+ */
+function gridColorMode(grid) {
+    return (grid.metadata && grid.metadata.options.color) || "none";
+}
+
+/**
+ * Serialize a grid to plain text, one line per row
+ * @param {Object} grid - Conversion grid
+ * @returns {string} ASCII art string
+ */
+function gridToText(grid) {
+    // Rows are filled in place and joined once rather than concatenated
+    // character by character
+    const lines = new Array(grid.height + 1);
+    const row = new Array(grid.width);
+
+    for (let y = 0; y < grid.height; y++) {
+        const offset = y * grid.width;
+        for (let x = 0; x < grid.width; x++) {
+            row[x] = grid.cells[offset + x].char;
+        }
+        lines[y] = row.join("");
+    }
+    // An empty last entry ends every row with a newline
+    lines[grid.height] = "";
+
+    return lines.join("\n");
+}
+
+/**
+ * Serialize a grid to ANSI-colored text
+ * @param {Object} grid - Conversion grid
+ * @param {string} [colorMode] - Color mode (defaults to the conversion's)
+ * @returns {string} ASCII art string, plain for color mode "none"
+ */
+function gridToAnsi(grid, colorMode = gridColorMode(grid)) {
+    if (colorMode === "none") {
+        return gridToText(grid);
+    }
+
+    const lines = new Array(grid.height + 1);
+
+    for (let y = 0; y < grid.height; y++) {
+        const row = [];
+        let currentEscape = null;
+        let currentBg = false;
+
+        for (let x = 0; x < grid.width; x++) {
+            const cell = grid.cells[y * grid.width + x];
+
+            // Transparent cells are left uncolored
+            let escape = ANSI_RESET;
+            if (!cell.transparent) {
+                escape =
+                    colorEscape(cell.rgb, colorMode) +
+                    (cell.bg ? colorEscape(cell.bg, colorMode, true) : "");
+
+                // A background color stays set until reset
+                if (currentBg && !cell.bg) {
+                    escape = ANSI_RESET + escape;
+                }
+            }
+
+            // Only emit a color code when it differs from the previous cell
+            if (escape !== currentEscape) {
+                row.push(escape);
+                currentEscape = escape;
+                currentBg = Boolean(cell.bg) && !cell.transparent;
+            }
+
+            row.push(cell.char);
+        }
+
+        row.push(ANSI_RESET);
+        lines[y] = row.join("");
+    }
+    // An empty last entry ends every row with a newline
+    lines[grid.height] = "";
+
+    return lines.join("\n");
+}
+
+/**
+ * Group each grid row into runs of identically colored cells
+ * @param {Object} grid - Conversion grid
+ * @param {string} [colorMode] - Color mode (defaults to the conversion's)
+ * @returns {Array<Array<Object>>} Lines of { text, fg, bg } runs, hex colors or null
+ */
+function gridToRuns(grid, colorMode = gridColorMode(grid)) {
+    const colored = colorMode !== "none";
+    const lines = [];
+
+    for (let y = 0; y < grid.height; y++) {
+        const runs = [];
+
+        for (let x = 0; x < grid.width; x++) {
+            const cell = grid.cells[y * grid.width + x];
+            const fg =
+                colored && !cell.transparent
+                    ? rgbToHex(quantizeColor(cell.rgb, colorMode))
+                    : null;
+            const bg =
+                colored && cell.bg
+                    ? rgbToHex(quantizeColor(cell.bg, colorMode))
+                    : null;
+
+            const last = runs[runs.length - 1];
+            if (last && last.fg === fg && last.bg === bg) {
+                last.text += cell.char;
+            } else {
+                runs.push({ text: cell.char, fg, bg });
+            }
+        }
+
+        lines.push(runs);
+    }
+
+    return lines;
+}
+
+/**
+ * Serialize a grid to JSON
+ * @param {Object} grid - Conversion grid
+ * @returns {string} JSON document
+ */
+function gridToJson(grid) {
+    return JSON.stringify(grid) + "\n";
+}
+
+module.exports = {
+    gridToText,
+    gridToAnsi,
+    gridToRuns,
+    gridToJson,
+};
@@ -0,0 +1,503 @@
+/**
+ * HTTP server exposing image conversion to non-Node tools
+ */
+
+const http = require("http");
+const { convertToGrid } = require("./converter");
+const { getCharsetInfo, isValidCharset } = require("./charsets");
+const { renderArt } = require("./renderers");
+const { validateOptions } = require("./utils");
+const { ImageError, ERROR_CODES } = require("./errors");
+
+// Largest request body accepted by default (10 MB)
+const DEFAULT_MAX_BODY_SIZE = 10 * 1024 * 1024;
+
+// Representations POST /convert can respond with, by media type
+const RESPONSE_TYPES = {
+    text: { type: "text/plain", format: "text", color: "none" },
+    ansi: { type: "text/x-ansi", format: "text", color: "truecolor" },
+    html: { type: "text/html", format: "html", color: "truecolor" },
+    json: { type: "application/json", format: "json", color: "none" },
+};
+
+// Conversion options accepted as query or form fields, by type
+const OPTION_TYPES = {
+    width: "number",
+    height: "number",
+    maxHeight: "number",
+    fit: "string",
+    charset: "string",
+    charsetChars: "string",
+    contrast: "number",
+    aspectRatio: "number",
+    invert: "boolean",
+    color: "string",
+    mode: "string",
+    threshold: "number",
+    dither: "string",
+    edges: "boolean",
+    edgeThreshold: "number",
+    edgeBlend: "number",
+    background: "string",
+    alphaMode: "string",
+    alphaThreshold: "number",
+    alphaChar: "string",
+    page: "number",
+    crop: "string",
+    trim: "flag",
+    autoOrient: "boolean",
+    rotate: "number",
+    flip: "boolean",
+    flop: "boolean",
+    brightness: "number",
+    gamma: "number",
+    normalize: "boolean",
+    equalize: "boolean",
+    blur: "flag",
+    sharpen: "flag",
+};
+
+// Numeric options that only take whole numbers
+const INTEGER_OPTIONS = ["width", "height", "maxHeight", "page"];
+
+// HTTP status for each image error code
+const IMAGE_ERROR_STATUS = {
+    [ERROR_CODES.UNSUPPORTED_FORMAT]: 415,
+    [ERROR_CODES.CORRUPT_IMAGE]: 422,
+    [ERROR_CODES.IMAGE_TOO_LARGE]: 413,
+    [ERROR_CODES.IMAGE_PROCESSING]: 422,
+};
+
+/**
+ * An error reported to the client with a status and stable code
+ */
+class HttpError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = "HttpError";
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Value to serialize
+ * @param {Object} [headers] - Extra headers
+ */
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, {
+        "Content-Type": "application/json; charset=utf-8",
+        ...headers,
+    });
+    res.end(JSON.stringify(body) + "\n");
+}
+
+/**
+ * Send an error as { error: { code, message } }
+ * @param {http.ServerResponse} res - Response
+ * @param {Error} error - HttpError, ImageError or unexpected error
+ */
+function sendError(res, error) {
+    let status = 500;
+    let code = "ERR_INTERNAL";
+    let message = "Internal server error";
+
+    if (error instanceof HttpError) {
+        ({ status, code, message } = error);
+    } else if (error instanceof ImageError) {
+        status = IMAGE_ERROR_STATUS[error.code] || 400;
+        ({ code, message } = error);
+    }
+
+    sendJson(res, status, { error: { code, message } });
+}
+
+/**
+ * Read a request body, rejecting it once it exceeds the size limit
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} maxBodySize - Limit in bytes
+ * @returns {Promise<Buffer>} Body
+ */
+function readBody(req, maxBodySize) {
+    const tooLarge = () =>
+        new HttpError(
+            413,
+            "ERR_BODY_TOO_LARGE",
+            `Request body exceeds ${maxBodySize} bytes`
+        );
+
+    // Refuse early when the client announces an oversized body
+    if (Number(req.headers["content-length"]) > maxBodySize) {
+        return Promise.reject(tooLarge());
+    }
+
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on("data", (chunk) => {
+            size += chunk.length;
+            if (size > maxBodySize) {
+                req.removeAllListeners("data");
+                req.resume();
+                reject(tooLarge());
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on("end", () => resolve(Buffer.concat(chunks)));
+        req.on("error", reject);
+    });
+}
+
+/**
+ * Split a multipart/form-data body into its parts
+ * @param {Buffer} body - Request body
+ * @param {string} boundary - Boundary from the Content-Type header
+ * @returns {Object[]} Parts as { name, filename, data }
+ */
+function parseMultipart(body, boundary) {
+    const malformed = () =>
+        new HttpError(400, "ERR_BAD_REQUEST", "Malformed multipart body");
+    const delimiter = Buffer.from(`--${boundary}`);
+    const parts = [];
+
+    let start = body.indexOf(delimiter);
+    if (start === -1) throw malformed();
+
+    for (;;) {
+        start += delimiter.length;
+
+        // "--" after a delimiter closes the body
+        if (body.subarray(start, start + 2).toString() === "--") break;
+
+        const end = body.indexOf(delimiter, start);
+        if (end === -1) throw malformed();
+
+        // Each part sits between the CRLF ending the delimiter line and the
+        // CRLF before the next one
+        const part = body.subarray(start + 2, end - 2);
+        const headerEnd = part.indexOf("\r\n\r\n");
+        if (headerEnd === -1) throw malformed();
+
+        const headers = part.subarray(0, headerEnd).toString("utf8");
+        const disposition =
+            /^content-disposition:(.*)$/im.exec(headers)?.[1] || "";
+
+        parts.push({
+            name: /\bname="([^"]*)"/i.exec(disposition)?.[1],
+            filename: /\bfilename="([^"]*)"/i.exec(disposition)?.[1],
+            data: part.subarray(headerEnd + 4),
+        });
+        start = end;
+    }
+
+    return parts;
+}
+
+/**
+ * Parse a numeric field, rejecting values that are not finite numbers or,
+ * for sizes and page numbers, not integers
+ * @param {string} name - Option name
+ * @param {string} value - Field value
+ * @returns {number} Parsed value
+ */
+function parseNumber(name, value) {
+    const number = value.trim() === "" ? NaN : Number(value);
+
+    if (!Number.isFinite(number)) {
+        throw new HttpError(
+            400,
+            "ERR_INVALID_OPTIONS",
+            `Option ${name} must be a number`
+        );
+    }
+
+    if (INTEGER_OPTIONS.includes(name) && !Number.isInteger(number)) {
+        throw new HttpError(
+            400,
+            "ERR_INVALID_OPTIONS",
+            `Option ${name} must be an integer`
+        );
+    }
+
+    return number;
+}
+
+/**
+ * Parse conversion options from query or form fields
+ * @param {Object} fields - Field values by name
+ * @returns {Object} Typed conversion options
+ */
+function parseOptions(fields) {
+    const options = {};
+
+    for (const [name, value] of Object.entries(fields)) {
+        const type = Object.prototype.hasOwnProperty.call(OPTION_TYPES, name)
+            ? OPTION_TYPES[name]
+            : null;
+        if (!type) {
+            throw new HttpError(
+                400,
+                "ERR_INVALID_OPTIONS",
+                `Unknown option: ${name}. Available: format, ${Object.keys(
+                    OPTION_TYPES
+                ).join(", ")}`
+            );
+        }
+
+        if (type === "number") {
+            options[name] = parseNumber(name, value);
+        } else if (type === "boolean") {
+            options[name] = ["", "1", "true", "yes"].includes(value);
+        } else if (type === "flag") {
+            // Bare flags turn a step on, numbers tune it
+            if (value === "false") {
+                options[name] = false;
+            } else {
+                options[name] =
+                    ["", "true"].includes(value) || parseNumber(name, value);
+            }
+        } else {
+            options[name] = value;
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Choose the response representation from the format field or Accept header
+ * @param {string} [format] - Explicit format field
+ * @param {string} [accept] - Accept header
+ * @returns {string} Key of RESPONSE_TYPES
+ */
+function negotiate(format, accept) {
+    if (format !== undefined) {
+        if (!Object.prototype.hasOwnProperty.call(RESPONSE_TYPES, format)) {
+            throw new HttpError(
+                400,
+                "ERR_INVALID_OPTIONS",
+                `Unknown format: ${format}. Available: ${Object.keys(
+                    RESPONSE_TYPES
+                ).join(", ")}`
+            );
+        }
+        return format;
+    }
+
+    if (!accept) return "text";
+
+    // Order media ranges by quality, keeping header order for ties
+    const ranges = accept
+        .split(",")
+        .map((range, index) => {
+            const [type, ...params] = range.trim().toLowerCase().split(";");
+            const q = params
+                .map((param) => param.trim().split("="))
+                .find(([key]) => key === "q");
+            return { type: type.trim(), q: q ? Number(q[1]) : 1, index };
+        })
+        .filter(({ q }) => q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index);
+
+    for (const { type } of ranges) {
+        if (type === "*/*" || type === "text/*") return "text";
+
+        const match = Object.keys(RESPONSE_TYPES).find(
+            (key) => RESPONSE_TYPES[key].type === type
+        );
+        if (match) return match;
+    }
+
+    throw new HttpError(
+        406,
+        "ERR_NOT_ACCEPTABLE",
+        `Cannot respond with ${accept}. Available: ${Object.values(
+            RESPONSE_TYPES
+        )
+            .map(({ type }) => type)
+            .join(", ")}`
+    );
+}
+
+/**
+ * Handle POST /convert
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Parsed request URL
+ * @param {Object} settings - Server settings
+ */
+async function handleConvert(req, res, url, settings) {
+    const body = await readBody(req, settings.maxBodySize);
+    const fields = Object.fromEntries(url.searchParams);
+    let image = body;
+
+    // Form uploads carry the image in a file part and options in the rest
+    const contentType = req.headers["content-type"] || "";
+    if (/^multipart\/form-data/i.test(contentType)) {
+        const boundary = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+        if (!boundary) {
+            throw new HttpError(
+                400,
+                "ERR_BAD_REQUEST",
+                "Multipart request without a boundary"
+            );
+        }
+
+        image = null;
+        for (const part of parseMultipart(body, boundary[1] || boundary[2])) {
+            if (part.filename !== undefined || part.name === "image") {
+                image = image || part.data;
+            } else if (part.name) {
+                fields[part.name] = part.data.toString("utf8");
+            }
+        }
+    }
+
+    if (!image || image.length === 0) {
+        throw new HttpError(400, "ERR_NO_IMAGE", "No image in request body");
+    }
+
+    const { format, ...optionFields } = fields;
+    const responseType = RESPONSE_TYPES[negotiate(format, req.headers.accept)];
+
+    let options;
+    try {
+        options = validateOptions({
+            ...settings.defaults,
+            color: responseType.color,
+            ...parseOptions(optionFields),
+            format: responseType.format,
+        });
+    } catch (error) {
+        if (error instanceof HttpError) throw error;
+        throw new HttpError(400, "ERR_INVALID_OPTIONS", error.message);
+    }
+
+    if (!options.charsetChars && !isValidCharset(options.charset)) {
+        throw new HttpError(
+            400,
+            "ERR_INVALID_OPTIONS",
+            `Unknown charset: ${options.charset}`
+        );
+    }
+
+    const grid = await convertToGrid(image, options);
+    const rendered = await renderArt(grid, options.format, settings.render);
+
+    res.writeHead(200, {
+        "Content-Type": `${responseType.type}; charset=utf-8`,
+        Vary: "Accept",
+    });
+    res.end(rendered);
+}
+
+/**
+ * Create an HTTP server for image conversion
+ *
+ * Routes:
+ * - `POST /convert` converts a raw image body or a multipart upload, with
+ *   conversion options as query or form fields and the response format
+ *   negotiated from `Accept` (text/plain, text/x-ansi, text/html,
+ *   application/json) or a `format` field
+ * - `GET /charsets` lists the available charsets
+ *
+ * Failures respond with { error: { code, message } }. Invalid defaults
+ * throw here rather than failing every request.
+ * @param {Object} [options] - Server options
+ * @param {Object} [options.defaults] - Conversion options requests start from
+ * @param {Object} [options.render] - Render options for html output
+ * @param {number} [options.maxBodySize=10485760] - Largest accepted body in bytes
+ * @returns {http.Server} Server, not yet listening
+ */
+function createServer(options = {}) {
+    const settings = {
+        defaults: options.defaults || {},
+        render: options.render || {},
+        maxBodySize: options.maxBodySize || DEFAULT_MAX_BODY_SIZE,
+    };
+
+    const defaults = validateOptions(settings.defaults);
+    if (!defaults.charsetChars && !isValidCharset(defaults.charset)) {
+        throw new Error(`Unknown charset: ${defaults.charset}`);
+    }
+
+    const routes = {
+        "/convert": {
+            POST: (req, res, url) => handleConvert(req, res, url, settings),
+        },
+        "/charsets": {
+            GET: (req, res) =>
+                sendJson(res, 200, { charsets: getCharsetInfo() }),
+        },
+    };
+
+    return http.createServer(async (req, res) => {
+        try {
+            const url = new URL(req.url, "http://localhost");
+            const route = routes[url.pathname];
+
+            if (!route) {
+                throw new HttpError(
+                    404,
+                    "ERR_NOT_FOUND",
+                    `No route for ${url.pathname}`
+                );
+            }
+
+            const handler = route[req.method];
+            if (!handler) {
+                res.setHeader("Allow", Object.keys(route).join(", "));
+                throw new HttpError(
+                    405,
+                    "ERR_METHOD_NOT_ALLOWED",
+                    `${req.method} is not allowed on ${url.pathname}`
+                );
+            }
+
+            await handler(req, res, url);
+        } catch (error) {
+            if (res.headersSent) {
+                res.destroy(error);
+                return;
+            }
+
+            // Unread bodies would otherwise keep the connection busy
+            if (error.code === "ERR_BODY_TOO_LARGE") {
+                res.setHeader("Connection", "close");
+            }
+            sendError(res, error);
+        }
+    });
+}
+
+/**
+ * Start a conversion server
+ * @param {Object} [options] - Server options, as for createServer
+ * @param {number} [options.port=8080] - Port to listen on (0 picks a free one)
+ * @param {string} [options.host='127.0.0.1'] - Interface to listen on
+ * @returns {Promise<http.Server>} Server once it is listening
+ */
+function serve(options = {}) {
+    const { port = 8080, host = "127.0.0.1", ...serverOptions } = options;
+    const server = createServer(serverOptions);
+
+    return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, host, () => {
+            server.removeListener("error", reject);
+            resolve(server);
+        });
+    });
+}
+
+module.exports = {
+    DEFAULT_MAX_BODY_SIZE,
+    RESPONSE_TYPES,
+    createServer,
+    serve,
+};
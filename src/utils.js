@@ -1,29 +1,151 @@
-const fs = require("fs").promises;
+const crypto = require("crypto");
+const fsSync = require("fs");
+const fs = fsSync.promises;
+const os = require("os");
 const path = require("path");
+const { glob, hasMagic } = require("glob");
+const { COLOR_MODES, isValidColorMode, hexToRgb } = require("./colors");
+const { OUTPUT_FORMATS, isValidFormat } = require("./renderers");
+const { DITHER_ALGORITHMS, isValidDitherAlgorithm } = require("./dither");
+const { validatePreprocessOptions } = require("./preprocess");
+
+// Image pixels sampled per output character for each rendering mode
+const CELL_GEOMETRY = {
+    ascii: { width: 1, height: 1 },
+    braille: { width: 2, height: 4 },
+    halfblock: { width: 1, height: 2 },
+};
+
+// Supported rendering modes
+const MODES = Object.keys(CELL_GEOMETRY);
+
+// Ways of sizing output to the width and height options
+const FIT_MODES = ["width", "height", "contain", "cover"];
+
+// Ways of treating transparent pixels: composite them onto the background,
+// or blank cells that are fully (blank) or mostly (threshold) transparent
+const ALPHA_MODES = ["flatten", "blank", "threshold"];
+
+// Largest output width or height in characters
+const MAX_DIMENSION = 500;
+
+// ISO-BMFF brands identifying AVIF and HEIF images
+const AVIF_BRANDS = ["avif", "avis"];
+const HEIF_BRANDS = [
+    "heic",
+    "heix",
+    "hevc",
+    "hevx",
+    "heim",
+    "heis",
+    "mif1",
+    "msf1",
+];
+
+// Bytes read from the start of a file to identify its format
+const SNIFF_LENGTH = 1024;
 
 /**
- * Validate image file extension
- * @param {string} filePath - Path to image file
- * @returns {boolean} True if supported format
+ * Identify an image format from the leading bytes of its content
+ * @param {Buffer} buffer - Image data, or at least its first bytes
+ * @returns {string|null} Format name (png, jpeg, gif, webp, tiff, bmp, avif, heif, svg) or null
  */
-function isSupportedImageFormat(filePath) {
-    const supportedExtensions = [
-        ".jpg",
-        ".jpeg",
-        ".png",
-        ".webp",
-        ".gif",
-        ".tiff",
-        ".tif",
-        ".bmp",
-        ".svg",
-        ".avif",
-        ".heif",
-        ".heic",
-    ];
+function sniffImageFormat(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 2) {
+        return null;
+    }
 
-    const ext = path.extname(filePath).toLowerCase();
-    return supportedExtensions.includes(ext);
+    const ascii = (start, end) => buffer.toString("latin1", start, end);
+
+    if (
+        buffer.length >= 8 &&
+        buffer.readUInt32BE(0) === 0x89504e47 &&
+        buffer.readUInt32BE(4) === 0x0d0a1a0a
+    ) {
+        return "png";
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        return "jpeg";
+    }
+    if (ascii(0, 6) === "GIF87a" || ascii(0, 6) === "GIF89a") {
+        return "gif";
+    }
+    if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") {
+        return "webp";
+    }
+    if (ascii(0, 4) === "II*\0" || ascii(0, 4) === "MM\0*") {
+        return "tiff";
+    }
+    if (ascii(0, 2) === "BM") {
+        return "bmp";
+    }
+    if (ascii(4, 8) === "ftyp") {
+        const brand = ascii(8, 12);
+        if (AVIF_BRANDS.includes(brand)) return "avif";
+        if (HEIF_BRANDS.includes(brand)) return "heif";
+    }
+
+    // SVG is text: look for an <svg> element near the start
+    const head = buffer
+        .toString("utf8", 0, Math.min(buffer.length, SNIFF_LENGTH))
+        .replace(/^\uFEFF/, "")
+        .trimStart();
+    if (head.startsWith("<") && /<svg[\s>]/i.test(head)) {
+        return "svg";
+    }
+
+    return null;
+}
+
+/**
+ * Detect the format of an image file or buffer from its content
+ * @param {string|Buffer} input - Image file path or buffer
+ * @returns {Promise<string|null>} Format name or null when unrecognized
+ */
+async function detectImageFormat(input) {
+    if (Buffer.isBuffer(input)) {
+        return sniffImageFormat(input);
+    }
+
+    const handle = await fs.open(input, "r");
+    try {
+        const { buffer, bytesRead } = await handle.read(
+            Buffer.alloc(SNIFF_LENGTH),
+            0,
+            SNIFF_LENGTH,
+            0
+        );
+        return sniffImageFormat(buffer.subarray(0, bytesRead));
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Check whether an image file or buffer is in a supported format
+ *
+ * Synchronous, reading only the leading bytes of a file.
+ * @param {string|Buffer} input - Image file path or buffer
+ * @returns {boolean} True if the content is a supported image
+ */
+function isSupportedImageFormat(input) {
+    if (Buffer.isBuffer(input)) {
+        return sniffImageFormat(input) !== null;
+    }
+
+    let fd;
+    try {
+        fd = fsSync.openSync(input, "r");
+        const buffer = Buffer.alloc(SNIFF_LENGTH);
+        const bytesRead = fsSync.readSync(fd, buffer, 0, SNIFF_LENGTH, 0);
+        return sniffImageFormat(buffer.subarray(0, bytesRead)) !== null;
+    } catch {
+        return false;
+    } finally {
+        if (fd !== undefined) {
+            fsSync.closeSync(fd);
+        }
+    }
 }
 
 /**
@@ -40,6 +162,202 @@ async function fileExists(filePath) {
     }
 }
 
+/**
+ * Find the deepest directory containing every given file
+ * @param {string[]} files - File paths
+ * @returns {string} Absolute common parent directory
+ */
+function commonDirectory(files) {
+    const parts = files.map((file) =>
+        path.dirname(path.resolve(file)).split(path.sep)
+    );
+    const common = parts[0] || [process.cwd()];
+    let length = common.length;
+
+    for (const segments of parts) {
+        let i = 0;
+        while (i < length && segments[i] === common[i]) i++;
+        length = i;
+    }
+
+    return common.slice(0, length).join(path.sep) || path.sep;
+}
+
+/**
+ * Resolve batch input into a sorted list of files and their base directory
+ * @param {string|string[]} input - Directory, glob pattern or array of files
+ * @param {Object} [options] - Resolution options
+ * @param {boolean} [options.recursive=false] - Descend into subdirectories of a directory input
+ * @param {string|string[]} [options.exclude] - Globs to skip (directory and pattern input)
+ * @returns {Promise<Object>} { files, baseDir } with baseDir the root of the source tree
+ */
+async function resolveInputFiles(input, options = {}) {
+    const { recursive = false, exclude = [] } = options;
+    const ignore = [].concat(exclude);
+
+    if (Array.isArray(input)) {
+        return { files: input, baseDir: commonDirectory(input) };
+    }
+
+    if (typeof input !== "string") {
+        throw new Error(
+            "Input must be a directory, string pattern or array of file paths"
+        );
+    }
+
+    let stats = null;
+    try {
+        stats = await fs.stat(input);
+    } catch {
+        // Not an existing path, treat it as a pattern
+    }
+
+    // Directories are listed relative to themselves so excludes match
+    // paths inside the tree
+    if (stats && stats.isDirectory()) {
+        const files = await glob(recursive ? "**/*" : "*", {
+            cwd: input,
+            nodir: true,
+            ignore,
+        });
+
+        return {
+            files: files.sort().map((file) => path.join(input, file)),
+            baseDir: path.resolve(input),
+        };
+    }
+
+    const files = (await glob(input, { nodir: true, ignore })).sort();
+    return { files, baseDir: commonDirectory(files) };
+}
+
+/**
+ * Find the directory holding every file a directory or glob input can match
+ * @param {string} input - Directory or glob pattern
+ * @returns {Promise<string>} Directory to watch or mirror from
+ */
+async function inputRoot(input) {
+    try {
+        if ((await fs.stat(input)).isDirectory()) {
+            return input;
+        }
+    } catch {
+        // Not an existing path, treat it as a pattern
+    }
+
+    // Keep the leading segments that contain no glob magic
+    const segments = input.split("/");
+    const fixed = [];
+    for (const segment of segments) {
+        if (hasMagic(segment)) break;
+        fixed.push(segment);
+    }
+
+    // A literal file path lives in its parent directory
+    if (fixed.length === segments.length) {
+        fixed.pop();
+    }
+
+    return fixed.join("/") || (input.startsWith("/") ? "/" : ".");
+}
+
+/**
+ * List a directory and every directory beneath it
+ * @param {string} root - Directory to start from
+ * @returns {Promise<string[]>} Directory paths, root first
+ */
+async function listDirectories(root) {
+    const directories = [root];
+
+    for (let i = 0; i < directories.length; i++) {
+        try {
+            const entries = await fs.readdir(directories[i], {
+                withFileTypes: true,
+            });
+            for (const entry of entries) {
+                if (entry.isDirectory()) {
+                    directories.push(path.join(directories[i], entry.name));
+                }
+            }
+        } catch {
+            // Removed while listing
+        }
+    }
+
+    return directories;
+}
+
+/**
+ * Watch a directory, and optionally every directory beneath it, for changes
+ *
+ * Where fs.watch cannot watch recursively (Linux before Node 20), each
+ * directory gets its own watcher, added and closed as directories come
+ * and go.
+ * @param {string} root - Directory to watch
+ * @param {Object} options - Watch options
+ * @param {boolean} [options.recursive=false] - Include subdirectories
+ * @param {Function} options.onChange - Called on any change
+ * @param {Function} options.onError - Called with watcher errors
+ * @returns {Promise<Object>} Watcher with a close() method
+ */
+async function watchDirectory(root, { recursive = false, onChange, onError }) {
+    try {
+        const watcher = fsSync.watch(root, { recursive }, onChange);
+        watcher.on("error", onError);
+        return { close: () => watcher.close() };
+    } catch (error) {
+        if (
+            !recursive ||
+            error.code !== "ERR_FEATURE_UNAVAILABLE_ON_PLATFORM"
+        ) {
+            throw error;
+        }
+    }
+
+    const watchers = new Map();
+    let closed = false;
+
+    // Bring the watchers in line with the directories now present
+    const sync = async () => {
+        const directories = await listDirectories(root);
+        if (closed) return;
+
+        for (const [directory, watcher] of watchers) {
+            if (!directories.includes(directory)) {
+                watcher.close();
+                watchers.delete(directory);
+            }
+        }
+
+        for (const directory of directories) {
+            if (watchers.has(directory)) continue;
+            try {
+                const watcher = fsSync.watch(directory, onEvent);
+                // Watching a removed directory fails, the next sync drops it
+                watcher.on("error", () => {});
+                watchers.set(directory, watcher);
+            } catch (error) {
+                if (directory === root) throw error;
+            }
+        }
+    };
+
+    const onEvent = (...args) => {
+        sync().catch(onError);
+        onChange(...args);
+    };
+
+    await sync();
+
+    return {
+        close: () => {
+            closed = true;
+            watchers.forEach((watcher) => watcher.close());
+            watchers.clear();
+        },
+    };
+}
+
 /**
  * Ensure directory exists, create if it doesn't
  * @param {string} dirPath - Directory path
@@ -59,11 +377,17 @@ async function ensureDir(dirPath) {
  * @param {string} inputPath - Input image path
  * @param {string} [outputDir] - Output directory (optional)
  * @param {string} [suffix='ascii'] - Filename suffix
+ * @param {string} [extension='txt'] - Output file extension
  * @returns {string} Output file path
  */
-function generateOutputPath(inputPath, outputDir = null, suffix = "ascii") {
+function generateOutputPath(
+    inputPath,
+    outputDir = null,
+    suffix = "ascii",
+    extension = "txt"
+) {
     const basename = path.basename(inputPath, path.extname(inputPath));
-    const filename = `${basename}.${suffix}.txt`;
+    const filename = `${basename}.${suffix}.${extension}`;
 
     if (outputDir) {
         return path.join(outputDir, filename);
@@ -72,6 +396,116 @@ function generateOutputPath(inputPath, outputDir = null, suffix = "ascii") {
     return path.join(path.dirname(inputPath), filename);
 }
 
+/**
+ * Hash content for change detection and output names
+ * @param {Buffer|string} data - Content to hash
+ * @returns {string} SHA-1 hex digest
+ */
+function hashContent(data) {
+    return crypto.createHash("sha1").update(data).digest("hex");
+}
+
+// Output template reproducing generateOutputPath's naming
+const DEFAULT_OUTPUT_TEMPLATE = "{dir}/{name}.ascii.{format}";
+
+// Placeholders available in output templates
+const OUTPUT_TEMPLATE_PLACEHOLDERS = [
+    "name",
+    "ext",
+    "dir",
+    "width",
+    "charset",
+    "mode",
+    "format",
+    "date",
+    "hash",
+];
+
+/**
+ * Expand the placeholders of an output template
+ * @param {string} template - Template such as "{name}.w{width}.{format}"
+ * @param {Object} values - Value for each placeholder used
+ * @returns {string} Expanded template
+ */
+function expandOutputTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => {
+        if (!OUTPUT_TEMPLATE_PLACEHOLDERS.includes(key)) {
+            throw new Error(
+                `Unknown output template placeholder: ${match}. Available: ${OUTPUT_TEMPLATE_PLACEHOLDERS.map(
+                    (name) => `{${name}}`
+                ).join(", ")}`
+            );
+        }
+
+        return String(values[key]);
+    });
+}
+
+/**
+ * Build an output path from a template
+ *
+ * Relative results are placed in outputDir, or beside the input without one.
+ * With an outputDir, `{dir}` is the input's directory relative to baseDir so
+ * templates can mirror a source tree ("." otherwise). `{format}` is the
+ * output file extension and `{hash}` the first 8 hex digits of the input's
+ * SHA-1.
+ * @param {string} template - Output template
+ * @param {string} inputPath - Input image path
+ * @param {Object} [options] - Template values and locations
+ * @param {string} [options.outputDir] - Directory for relative results
+ * @param {string} [options.baseDir] - Root of the source tree (defaults to the input's directory)
+ * @param {number} [options.width] - Width in characters
+ * @param {string} [options.charset] - Charset name
+ * @param {string} [options.mode] - Rendering mode
+ * @param {string} [options.format='text'] - Output format
+ * @param {Date} [options.date] - Date for {date} (defaults to now)
+ * @param {Buffer} [options.source] - Input content for {hash} (read from inputPath otherwise)
+ * @returns {Promise<string>} Output file path
+ */
+async function templateOutputPath(template, inputPath, options = {}) {
+    const {
+        outputDir = null,
+        baseDir,
+        format = "text",
+        date = new Date(),
+        source,
+    } = options;
+    const ext = path.extname(inputPath);
+    const inputDir = path.dirname(path.resolve(inputPath));
+
+    let hash = "";
+    if (template.includes("{hash}")) {
+        hash = hashContent(source || (await fs.readFile(inputPath))).slice(
+            0,
+            8
+        );
+    }
+
+    const expanded = expandOutputTemplate(template, {
+        name: path.basename(inputPath, ext),
+        ext: ext.slice(1),
+        dir: outputDir
+            ? path.relative(baseDir || inputDir, inputDir) || "."
+            : ".",
+        width: options.width,
+        charset: options.charset,
+        mode: options.mode,
+        format: OUTPUT_FORMATS[format] || format,
+        date: [
+            date.getFullYear(),
+            String(date.getMonth() + 1).padStart(2, "0"),
+            String(date.getDate()).padStart(2, "0"),
+        ].join("-"),
+        hash,
+    });
+
+    if (path.isAbsolute(expanded)) {
+        return expanded;
+    }
+
+    return path.join(outputDir || path.dirname(inputPath), expanded);
+}
+
 /**
  * Validate conversion options
  * @param {Object} options - Options object
@@ -84,22 +518,59 @@ function validateOptions(options = {}) {
         contrast: 1.2,
         aspectRatio: 0.5,
         invert: false,
+        color: "none",
+        format: "text",
+        mode: "ascii",
+        threshold: 0.5,
+        dither: "none",
+        edges: false,
+        edgeThreshold: 0.25,
+        edgeBlend: 1,
+        page: 0,
+        background: "#000000",
+        alphaMode: "flatten",
+        alphaThreshold: 0.5,
+        alphaChar: " ",
     };
 
     const validated = { ...defaults, ...options };
 
     // Validate width
     if (
-        typeof validated.width !== "number" ||
+        !Number.isFinite(validated.width) ||
         validated.width < 10 ||
-        validated.width > 500
+        validated.width > MAX_DIMENSION
     ) {
         throw new Error("Width must be a number between 10 and 500");
     }
 
+    // Validate height bounds, which are optional
+    for (const [key, label] of [
+        ["height", "Height"],
+        ["maxHeight", "Max height"],
+    ]) {
+        const value = validated[key];
+        if (
+            value !== undefined &&
+            (!Number.isInteger(value) || value < 1 || value > MAX_DIMENSION)
+        ) {
+            throw new Error(`${label} must be an integer between 1 and 500`);
+        }
+    }
+
+    // Validate fit mode; all but width size to a height
+    if (validated.fit !== undefined) {
+        if (!FIT_MODES.includes(validated.fit)) {
+            throw new Error(`Fit must be one of: ${FIT_MODES.join(", ")}`);
+        }
+        if (validated.fit !== "width" && validated.height === undefined) {
+            throw new Error(`Fit ${validated.fit} requires a height`);
+        }
+    }
+
     // Validate contrast
     if (
-        typeof validated.contrast !== "number" ||
+        !Number.isFinite(validated.contrast) ||
         validated.contrast < 0.1 ||
         validated.contrast > 5.0
     ) {
@@ -108,13 +579,110 @@ function validateOptions(options = {}) {
 
     // Validate aspect ratio
     if (
-        typeof validated.aspectRatio !== "number" ||
+        !Number.isFinite(validated.aspectRatio) ||
         validated.aspectRatio < 0.1 ||
         validated.aspectRatio > 2.0
     ) {
         throw new Error("Aspect ratio must be a number between 0.1 and 2.0");
     }
 
+    // Validate color mode
+    if (!isValidColorMode(validated.color)) {
+        throw new Error(`Color must be one of: ${COLOR_MODES.join(", ")}`);
+    }
+
+    // Validate inline charset
+    if (
+        validated.charsetChars !== undefined &&
+        (typeof validated.charsetChars !== "string" ||
+            [...validated.charsetChars].length < 2)
+    ) {
+        throw new Error(
+            "Charset characters must contain at least 2 characters"
+        );
+    }
+
+    // Validate rendering mode
+    if (!MODES.includes(validated.mode)) {
+        throw new Error(`Mode must be one of: ${MODES.join(", ")}`);
+    }
+
+    // Validate threshold
+    if (
+        !Number.isFinite(validated.threshold) ||
+        validated.threshold < 0 ||
+        validated.threshold > 1
+    ) {
+        throw new Error("Threshold must be a number between 0 and 1");
+    }
+
+    // Validate dithering algorithm
+    if (!isValidDitherAlgorithm(validated.dither)) {
+        throw new Error(
+            `Dither must be one of: ${DITHER_ALGORITHMS.join(", ")}`
+        );
+    }
+
+    // Validate edge detection
+    if (
+        !Number.isFinite(validated.edgeThreshold) ||
+        validated.edgeThreshold < 0 ||
+        validated.edgeThreshold > 1
+    ) {
+        throw new Error("Edge threshold must be a number between 0 and 1");
+    }
+
+    if (
+        !Number.isFinite(validated.edgeBlend) ||
+        validated.edgeBlend < 0 ||
+        validated.edgeBlend > 1
+    ) {
+        throw new Error("Edge blend must be a number between 0 and 1");
+    }
+
+    if (validated.edges && validated.mode !== "ascii") {
+        throw new Error("Edges are only supported in ascii mode");
+    }
+
+    // Validate page (frame) number
+    if (!Number.isInteger(validated.page) || validated.page < 0) {
+        throw new Error("Page must be a non-negative integer");
+    }
+
+    // Validate transparency handling
+    if (!hexToRgb(validated.background)) {
+        throw new Error("Background must be a hex color such as #ffffff");
+    }
+
+    if (!ALPHA_MODES.includes(validated.alphaMode)) {
+        throw new Error(`Alpha mode must be one of: ${ALPHA_MODES.join(", ")}`);
+    }
+
+    if (
+        !Number.isFinite(validated.alphaThreshold) ||
+        validated.alphaThreshold < 0 ||
+        validated.alphaThreshold > 1
+    ) {
+        throw new Error("Alpha threshold must be a number between 0 and 1");
+    }
+
+    if (
+        typeof validated.alphaChar !== "string" ||
+        [...validated.alphaChar].length !== 1
+    ) {
+        throw new Error("Alpha character must be a single character");
+    }
+
+    // Validate pre-processing steps
+    validatePreprocessOptions(validated);
+
+    // Validate output format
+    if (!isValidFormat(validated.format)) {
+        throw new Error(
+            `Format must be one of: ${Object.keys(OUTPUT_FORMATS).join(", ")}`
+        );
+    }
+
     return validated;
 }
 
@@ -147,34 +715,200 @@ function formatProgress(current, total, filename = "") {
     return filename ? `${progress} ${filename}` : progress;
 }
 
+/**
+ * Get the default number of concurrent conversions
+ * @returns {number} Available CPU parallelism (at least 1)
+ */
+function defaultConcurrency() {
+    return Math.max(
+        1,
+        typeof os.availableParallelism === "function"
+            ? os.availableParallelism()
+            : os.cpus().length
+    );
+}
+
+/**
+ * Map items through an async function with a bounded number in flight
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum simultaneous calls (>= 1)
+ * @param {Function} fn - Async function called as fn(item, index)
+ * @param {Object} [options] - Pool options
+ * @param {AbortSignal} [options.signal] - Stops new calls from starting when aborted
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapWithConcurrency(items, concurrency, fn, options = {}) {
+    const { signal } = options;
+
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new Error("Concurrency must be a positive integer");
+    }
+
+    const results = new Array(items.length);
+    let next = 0;
+    let failure = null;
+
+    // Each worker pulls the next unclaimed index until none are left; after
+    // a failure or abort, calls already in flight settle before we return
+    const worker = async () => {
+        while (next < items.length && !failure && !signal?.aborted) {
+            const index = next++;
+            try {
+                results[index] = await fn(items[index], index);
+            } catch (error) {
+                failure = failure || { error };
+            }
+        }
+    };
+
+    await Promise.all(
+        Array.from({ length: Math.min(concurrency, items.length) }, worker)
+    );
+
+    if (failure) {
+        throw failure.error;
+    }
+    signal?.throwIfAborted();
+
+    return results;
+}
+
 /**
  * Calculate estimated dimensions for ASCII output
+ *
+ * Fit modes size the output to the width (the default), to the height, to
+ * the largest size inside both (contain, the default when a height is given)
+ * or to exactly both, cropping the image evenly (cover). A max height then
+ * shrinks the result, cropping further under cover.
  * @param {number} imgWidth - Original image width
  * @param {number} imgHeight - Original image height
  * @param {number} targetWidth - Target ASCII width
  * @param {number} aspectRatio - Aspect ratio correction
- * @returns {Object} Dimensions object
+ * @param {string} [mode='ascii'] - Rendering mode (determines cell geometry)
+ * @param {Object} [fitOptions] - Height and fit options
+ * @param {number} [fitOptions.height] - Target ASCII height in lines
+ * @param {number} [fitOptions.maxHeight] - Largest ASCII height in lines
+ * @param {string} [fitOptions.fit] - Fit mode (width, height, contain, cover)
+ * @returns {Object} Dimensions object, including the sampled pixel grid and the image crop for cover
  */
-function calculateDimensions(imgWidth, imgHeight, targetWidth, aspectRatio) {
-    const targetHeight = Math.floor(
-        (imgHeight / imgWidth) * targetWidth * aspectRatio
-    );
+function calculateDimensions(
+    imgWidth,
+    imgHeight,
+    targetWidth,
+    aspectRatio,
+    mode = "ascii",
+    fitOptions = {}
+) {
+    const cell = CELL_GEOMETRY[mode] || CELL_GEOMETRY.ascii;
+    const {
+        height: targetHeight,
+        maxHeight,
+        fit = targetHeight === undefined ? "width" : "contain",
+    } = fitOptions;
+
+    // Rows depend only on the character cell shape; finer modes sample
+    // more pixels per cell but cover the same area
+    const heightFor = (width) =>
+        Math.max(1, Math.floor((imgHeight / imgWidth) * width * aspectRatio));
+    const widthFor = (height) =>
+        Math.min(
+            MAX_DIMENSION,
+            Math.max(
+                1,
+                Math.round((imgWidth / imgHeight) * (height / aspectRatio))
+            )
+        );
+
+    let width = targetWidth;
+    let height;
+    switch (fit) {
+        case "height":
+            width = widthFor(targetHeight);
+            height = Math.min(targetHeight, heightFor(width));
+            break;
+        case "contain":
+            width = Math.min(targetWidth, widthFor(targetHeight));
+            height = Math.min(targetHeight, heightFor(width));
+            break;
+        case "cover":
+            height = targetHeight;
+            break;
+        default:
+            height = heightFor(width);
+    }
+
+    if (maxHeight !== undefined && height > maxHeight) {
+        if (fit === "cover") {
+            height = maxHeight;
+        } else {
+            width = Math.min(width, widthFor(maxHeight));
+            height = Math.min(maxHeight, heightFor(width));
+        }
+    }
+
+    // Cover scales the image to fill both dimensions and crops the overflow
+    // from each side equally
+    let crop = null;
+    if (fit === "cover") {
+        const scale = Math.max(
+            width / imgWidth,
+            height / (imgHeight * aspectRatio)
+        );
+        const cropWidth = Math.min(
+            imgWidth,
+            Math.max(1, Math.round(width / scale))
+        );
+        const cropHeight = Math.min(
+            imgHeight,
+            Math.max(1, Math.round(height / (scale * aspectRatio)))
+        );
+
+        if (cropWidth < imgWidth || cropHeight < imgHeight) {
+            crop = {
+                left: Math.floor((imgWidth - cropWidth) / 2),
+                top: Math.floor((imgHeight - cropHeight) / 2),
+                width: cropWidth,
+                height: cropHeight,
+            };
+        }
+    }
 
     return {
-        width: targetWidth,
-        height: targetHeight,
+        width,
+        height,
+        fit,
+        crop,
+        sampleWidth: width * cell.width,
+        sampleHeight: height * cell.height,
         originalRatio: imgWidth / imgHeight,
-        newRatio: targetWidth / targetHeight,
+        newRatio: width / height,
     };
 }
 
 module.exports = {
+    MODES,
+    CELL_GEOMETRY,
+    FIT_MODES,
+    ALPHA_MODES,
     isSupportedImageFormat,
+    sniffImageFormat,
+    detectImageFormat,
     fileExists,
+    commonDirectory,
+    resolveInputFiles,
+    inputRoot,
+    watchDirectory,
     ensureDir,
     generateOutputPath,
+    hashContent,
+    DEFAULT_OUTPUT_TEMPLATE,
+    OUTPUT_TEMPLATE_PLACEHOLDERS,
+    expandOutputTemplate,
+    templateOutputPath,
     validateOptions,
     formatFileSize,
     formatProgress,
+    defaultConcurrency,
+    mapWithConcurrency,
     calculateDimensions,
 };
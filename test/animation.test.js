@@ -0,0 +1,187 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Writable } = require("stream");
+const {
+    convertAnimation,
+    playAnimation,
+    animationToJson,
+    renderAnimation,
+    saveFrames,
+    DEFAULT_FRAME_DELAY,
+} = require("../src/animation");
+
+/**
+ * Encode grayscale frames as an animated GIF with a 256-level gray palette.
+ * Codes stay 9 bits wide by clearing the LZW table before it grows.
+ */
+function encodeGif(width, height, frames, loop) {
+    const bytes = [];
+    const u16 = (value) => bytes.push(value & 0xff, value >> 8);
+
+    bytes.push(...Buffer.from("GIF89a"));
+    u16(width);
+    u16(height);
+    bytes.push(0xf7, 0, 0);
+    for (let i = 0; i < 256; i++) bytes.push(i, i, i);
+
+    // NETSCAPE2.0 loop extension
+    bytes.push(0x21, 0xff, 0x0b, ...Buffer.from("NETSCAPE2.0"), 3, 1);
+    u16(loop);
+    bytes.push(0);
+
+    for (const { gray, delay } of frames) {
+        // Graphic control extension with the delay in centiseconds
+        bytes.push(0x21, 0xf9, 4, 0x04);
+        u16(delay / 10);
+        bytes.push(0, 0);
+
+        bytes.push(0x2c);
+        u16(0);
+        u16(0);
+        u16(width);
+        u16(height);
+        bytes.push(0, 8);
+
+        const codes = [];
+        for (let i = 0; i < width * height; i++) {
+            if (i % 250 === 0) codes.push(256);
+            codes.push(gray);
+        }
+        codes.push(257);
+
+        const data = [];
+        let buffer = 0;
+        let bits = 0;
+        for (const code of codes) {
+            buffer |= code << bits;
+            bits += 9;
+            while (bits >= 8) {
+                data.push(buffer & 0xff);
+                buffer >>= 8;
+                bits -= 8;
+            }
+        }
+        if (bits > 0) data.push(buffer & 0xff);
+
+        for (let i = 0; i < data.length; i += 255) {
+            const block = data.slice(i, i + 255);
+            bytes.push(block.length, ...block);
+        }
+        bytes.push(0);
+    }
+
+    bytes.push(0x3b);
+    return Buffer.from(bytes);
+}
+
+describe("Animation", () => {
+    const gif = encodeGif(
+        20,
+        20,
+        [
+            { gray: 0, delay: 200 },
+            { gray: 255, delay: 0 },
+            { gray: 128, delay: 50 },
+        ],
+        0
+    );
+
+    test("should convert every frame with its delay", async () => {
+        const animation = await convertAnimation(gif, { width: 10 });
+
+        expect(animation.frames).toHaveLength(3);
+        expect(animation.width).toBe(10);
+        expect(animation.loop).toBe(0);
+        expect(animation.frames.map((frame) => frame.delay)).toEqual([
+            200,
+            DEFAULT_FRAME_DELAY,
+            50,
+        ]);
+
+        // Black and white frames map to opposite ends of the charset
+        const [black, white] = animation.frames.map((frame) => frame.art);
+        expect(black).not.toEqual(white);
+        expect(black.split("\n")).toHaveLength(animation.height + 1);
+    });
+
+    test("should play frames in place and restore the cursor", async () => {
+        const animation = await convertAnimation(gif, { width: 10 });
+        animation.frames.forEach((frame) => (frame.delay = 1));
+
+        let output = "";
+        const stream = new Writable({
+            write(chunk, encoding, callback) {
+                output += chunk;
+                callback();
+            },
+        });
+
+        const drawn = await playAnimation(animation, { stream, loop: 2 });
+
+        expect(drawn).toBe(6);
+        expect(output.startsWith("\x1b[?25l")).toBe(true);
+        expect(output.endsWith("\x1b[?25h")).toBe(true);
+        expect(output.split(`\x1b[${animation.height}A`)).toHaveLength(6);
+    });
+
+    test("should stop playback when aborted", async () => {
+        const animation = await convertAnimation(gif, { width: 10 });
+        const controller = new AbortController();
+        const stream = new Writable({
+            write(chunk, encoding, callback) {
+                callback();
+            },
+        });
+
+        setTimeout(() => controller.abort(), 20);
+        const drawn = await playAnimation(animation, {
+            stream,
+            loop: 0,
+            signal: controller.signal,
+        });
+
+        expect(drawn).toBeGreaterThan(0);
+        expect(drawn).toBeLessThan(10);
+    });
+
+    test("should export JSON and HTML players", async () => {
+        const animation = await convertAnimation(gif, { width: 10 });
+
+        const json = JSON.parse(animationToJson(animation));
+        expect(json.frames).toHaveLength(3);
+        expect(json.frames[0]).toEqual({
+            delay: 200,
+            art: animation.frames[0].art,
+        });
+
+        const html = renderAnimation(animation, "html");
+        expect(html).toMatch(/^<!DOCTYPE html>/);
+        expect(html).toContain("<script>");
+        expect(html).toContain('"delays":[200,100,50]');
+
+        expect(() => renderAnimation(animation, "svg")).toThrow(
+            "Unsupported animation format"
+        );
+    });
+
+    test("should write one file per frame", async () => {
+        const animation = await convertAnimation(gif, { width: 10 });
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ascii-pic-"));
+
+        try {
+            const files = await saveFrames(animation, dir);
+
+            expect(files.map((file) => path.basename(file))).toEqual([
+                "frame-0001.txt",
+                "frame-0002.txt",
+                "frame-0003.txt",
+            ]);
+            expect(fs.readFileSync(files[1], "utf8")).toBe(
+                animation.frames[1].art
+            );
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
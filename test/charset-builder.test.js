@@ -0,0 +1,34 @@
+const {
+    measureGlyphCoverage,
+    buildCharset,
+} = require("../src/charset-builder");
+
+describe("Charset builder", () => {
+    test("should measure more ink for denser glyphs", async () => {
+        const coverage = await measureGlyphCoverage("@. ");
+        const byChar = Object.fromEntries(
+            coverage.map(({ char, coverage: value }) => [char, value])
+        );
+
+        expect(byChar[" "]).toBe(0);
+        expect(byChar["@"]).toBeGreaterThan(byChar["."]);
+    });
+
+    test("should build a ramp from darkest to lightest", async () => {
+        const ramp = await buildCharset({ chars: " .:-=+*#%@", steps: 4 });
+
+        expect([...ramp]).toHaveLength(4);
+        expect(ramp[ramp.length - 1]).toBe(" ");
+        expect(new Set(ramp).size).toBe(4);
+    });
+
+    test("should keep every glyph when steps exceed candidates", async () => {
+        const ramp = await buildCharset({ chars: ". @", steps: 10 });
+
+        expect(ramp).toBe("@. ");
+    });
+
+    test("should reject invalid steps", async () => {
+        await expect(buildCharset({ steps: 1 })).rejects.toThrow();
+    });
+});
@@ -0,0 +1,50 @@
+const {
+    rgbToAnsi16,
+    rgbToAnsi256,
+    colorEscape,
+    detectColorMode,
+    isValidColorMode,
+} = require("../src/colors");
+
+describe("ANSI color helpers", () => {
+    test("should map colors to the 16-color palette", () => {
+        expect(rgbToAnsi16([0, 0, 0])).toBe(0);
+        expect(rgbToAnsi16([255, 255, 255])).toBe(15);
+        expect(rgbToAnsi16([250, 10, 10])).toBe(9);
+    });
+
+    test("should map colors to the 256-color palette", () => {
+        expect(rgbToAnsi256([255, 0, 0])).toBe(196);
+        expect(rgbToAnsi256([0, 0, 0])).toBe(16);
+        expect(rgbToAnsi256([128, 128, 128])).toBe(244);
+    });
+
+    test("should build escape sequences for each mode", () => {
+        expect(colorEscape([1, 2, 3], "truecolor")).toBe("\x1b[38;2;1;2;3m");
+        expect(colorEscape([1, 2, 3], "truecolor", true)).toBe(
+            "\x1b[48;2;1;2;3m"
+        );
+        expect(colorEscape([255, 0, 0], "ansi256")).toBe("\x1b[38;5;196m");
+        expect(colorEscape([255, 0, 0], "ansi16")).toBe("\x1b[91m");
+        expect(colorEscape([255, 0, 0], "none")).toBe("");
+    });
+
+    test("should detect terminal color support", () => {
+        const tty = { isTTY: true };
+
+        expect(detectColorMode({ isTTY: false }, {})).toBe("none");
+        expect(detectColorMode(tty, { NO_COLOR: "" })).toBe("none");
+        expect(detectColorMode(tty, { COLORTERM: "truecolor" })).toBe(
+            "truecolor"
+        );
+        expect(detectColorMode(tty, { TERM: "xterm-256color" })).toBe(
+            "ansi256"
+        );
+        expect(detectColorMode(tty, { TERM: "xterm" })).toBe("ansi16");
+    });
+
+    test("should validate color modes", () => {
+        expect(isValidColorMode("truecolor")).toBe(true);
+        expect(isValidColorMode("rainbow")).toBe(false);
+    });
+});
@@ -0,0 +1,81 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { findConfig, loadConfig, resolveConfig } = require("../src/config");
+
+describe("Config", () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "ascii-pic-"));
+        fs.mkdirSync(path.join(dir, "a", "b"), { recursive: true });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const writeJson = (file, value) =>
+        fs.writeFileSync(path.join(dir, file), JSON.stringify(value));
+
+    test("should find the nearest config file upward", async () => {
+        writeJson(".asciipicrc", { width: 40 });
+        writeJson("a/asciipic.config.json", { width: 60 });
+
+        const found = await findConfig(path.join(dir, "a", "b"));
+
+        expect(found).toEqual({
+            path: path.join(dir, "a", "asciipic.config.json"),
+            config: { width: 60 },
+        });
+    });
+
+    test("should read the asciiPic key of package.json", async () => {
+        writeJson("package.json", {
+            name: "x",
+            asciiPic: { charset: "blocks" },
+        });
+        writeJson("a/package.json", { name: "y" });
+
+        const found = await findConfig(path.join(dir, "a", "b"));
+
+        expect(found.path).toBe(path.join(dir, "package.json"));
+        expect(found.config).toEqual({ charset: "blocks" });
+        await expect(
+            loadConfig(path.join(dir, "a", "package.json"))
+        ).rejects.toThrow('No "asciiPic" key');
+    });
+
+    test("should reject malformed config files", async () => {
+        fs.writeFileSync(path.join(dir, ".asciipicrc"), "{ width: 40");
+        await expect(findConfig(dir)).rejects.toThrow("Invalid config file");
+
+        writeJson(".asciipicrc", { presets: { small: 40 } });
+        await expect(findConfig(dir)).rejects.toThrow(
+            "preset small must be an object"
+        );
+    });
+
+    test("should layer a preset over the config", () => {
+        const config = {
+            width: 80,
+            charset: "blocks",
+            presets: { thumbnail: { width: 30, mode: "halfblock" } },
+        };
+
+        expect(resolveConfig(config)).toEqual({
+            options: { width: 80, charset: "blocks" },
+            sources: { width: "config", charset: "config" },
+        });
+        expect(resolveConfig(config, "thumbnail")).toEqual({
+            options: { width: 30, charset: "blocks", mode: "halfblock" },
+            sources: { width: "preset", charset: "config", mode: "preset" },
+        });
+        expect(() => resolveConfig(config, "poster")).toThrow(
+            "Unknown preset: poster. Available: thumbnail"
+        );
+        expect(() => resolveConfig(undefined, "poster")).toThrow(
+            "Available: (none)"
+        );
+    });
+});
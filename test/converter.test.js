@@ -1,12 +1,39 @@
 const {
+    convertToGrid,
     convertToAscii,
     getImageInfo,
     validateOptions,
     isValidCharset,
     getAvailableCharsets,
+    calculateDimensions,
+    previewAscii,
+    registerCharset,
+    unregisterCharset,
+    loadCharsetFile,
+    getCharsetInfo,
+    gridToAnsi,
+    sniffImageFormat,
+    detectImageFormat,
+    isSupportedImageFormat,
+    UnsupportedFormatError,
+    CorruptImageError,
+    ImageTooLargeError,
+    mapWithConcurrency,
+    resolveInputFiles,
+    inputRoot,
+    generateOutputPath,
+    templateOutputPath,
+    expandOutputTemplate,
+    DEFAULT_OUTPUT_TEMPLATE,
+    MANIFEST_FILENAME,
+    AsciiPic,
 } = require("../src/index");
 
 const sharp = require("sharp");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
 
 describe("ASCII-PIC Core Functions", () => {
     // Create a simple test image buffer
@@ -90,6 +117,517 @@ describe("ASCII-PIC Core Functions", () => {
         });
     });
 
+    describe("convertToGrid", () => {
+        test("should return cells with brightness, color and alpha", async () => {
+            const grid = await convertToGrid(testImageBuffer, {
+                width: 20,
+                charset: "simple",
+            });
+
+            expect(grid.width).toBe(20);
+            expect(grid.height).toBe(10);
+            expect(grid.cells).toHaveLength(200);
+            expect(grid.cells[0]).toEqual({
+                char: expect.any(String),
+                brightness: expect.any(Number),
+                rgb: [
+                    expect.any(Number),
+                    expect.any(Number),
+                    expect.any(Number),
+                ],
+                alpha: 1,
+            });
+            expect(grid.metadata).toMatchObject({
+                source: { width: 100, height: 100, format: "png" },
+                mode: "ascii",
+                charset: "██▓▒░ ",
+                options: { width: 20, charset: "simple" },
+            });
+        });
+
+        test("should sample color and alpha without color output", async () => {
+            const clear = await sharp({
+                create: {
+                    width: 20,
+                    height: 20,
+                    channels: 4,
+                    background: { r: 200, g: 40, b: 10, alpha: 0 },
+                },
+            })
+                .png()
+                .toBuffer();
+
+            const grid = await convertToGrid(clear, { width: 10 });
+            expect(grid.cells[0].alpha).toBe(0);
+
+            const red = await sharp({
+                create: {
+                    width: 20,
+                    height: 20,
+                    channels: 3,
+                    background: { r: 200, g: 40, b: 10 },
+                },
+            })
+                .png()
+                .toBuffer();
+
+            const [cell] = (await convertToGrid(red, { width: 10 })).cells;
+            expect(cell.rgb).toEqual([200, 40, 10]);
+            expect(cell.alpha).toBe(1);
+        });
+
+        test("should serialize to the same string as convertToAscii", async () => {
+            const options = { width: 30, color: "ansi256" };
+            const grid = await convertToGrid(testImageBuffer, options);
+
+            expect(gridToAnsi(grid)).toBe(
+                await convertToAscii(testImageBuffer, options)
+            );
+        });
+    });
+
+    describe("color output", () => {
+        test("should not emit escape codes by default", async () => {
+            const result = await convertToAscii(testImageBuffer, { width: 20 });
+
+            expect(result).not.toContain("\x1b[");
+        });
+
+        test("should merge runs of identically colored cells", async () => {
+            const red = await sharp({
+                create: {
+                    width: 20,
+                    height: 20,
+                    channels: 3,
+                    background: { r: 255, g: 0, b: 0 },
+                },
+            })
+                .png()
+                .toBuffer();
+
+            const result = await convertToAscii(red, {
+                width: 10,
+                color: "truecolor",
+            });
+            const lines = result.split("\n").filter((line) => line.length > 0);
+
+            for (const line of lines) {
+                expect(line.startsWith("\x1b[38;2;255;0;0m")).toBe(true);
+                expect(line.endsWith("\x1b[0m")).toBe(true);
+                expect(line.split("\x1b[38;2;").length).toBe(2);
+            }
+        });
+
+        test("should keep the same characters in color modes", async () => {
+            const plain = await convertToAscii(testImageBuffer, { width: 20 });
+            const colored = await convertToAscii(testImageBuffer, {
+                width: 20,
+                color: "ansi256",
+            });
+
+            expect(colored.replace(/\x1b\[[0-9;]*m/g, "")).toBe(plain);
+        });
+
+        test("should reject unknown color modes", async () => {
+            await expect(
+                convertToAscii(testImageBuffer, { color: "rainbow" })
+            ).rejects.toThrow();
+        });
+    });
+
+    describe("braille mode", () => {
+        test("should emit one Braille pattern per 2×4 pixel block", async () => {
+            const result = await convertToAscii(testImageBuffer, {
+                width: 20,
+                mode: "braille",
+            });
+            const lines = result.split("\n").filter((line) => line.length > 0);
+
+            expect(lines).toHaveLength(10);
+            for (const line of lines) {
+                expect(line).toMatch(/^[\u2800-\u28ff]{20}$/);
+            }
+
+            // White border lights every dot, the black square none
+            expect(lines[0][0]).toBe("\u28ff");
+            expect(lines[5][10]).toBe("\u2800");
+        });
+
+        test("should honor the threshold", async () => {
+            const gray = await sharp({
+                create: {
+                    width: 20,
+                    height: 20,
+                    channels: 3,
+                    background: { r: 128, g: 128, b: 128 },
+                },
+            })
+                .png()
+                .toBuffer();
+
+            const lit = await convertToAscii(gray, {
+                width: 10,
+                mode: "braille",
+                threshold: 0.2,
+                contrast: 1,
+            });
+            const dark = await convertToAscii(gray, {
+                width: 10,
+                mode: "braille",
+                threshold: 0.8,
+                contrast: 1,
+            });
+
+            expect(lit.replace(/\n/g, "")).toMatch(/^\u28ff+$/);
+            expect(dark.replace(/\n/g, "")).toMatch(/^\u2800+$/);
+        });
+
+        test("should mix lit and unlit dots when dithering", async () => {
+            const gray = await sharp({
+                create: {
+                    width: 20,
+                    height: 20,
+                    channels: 3,
+                    background: { r: 128, g: 128, b: 128 },
+                },
+            })
+                .png()
+                .toBuffer();
+
+            const result = await convertToAscii(gray, {
+                width: 10,
+                mode: "braille",
+                dither: "floyd-steinberg",
+                contrast: 1,
+            });
+            const chars = new Set(result.replace(/\n/g, ""));
+
+            expect(chars.has("\u28ff")).toBe(false);
+            expect(chars.has("\u2800")).toBe(false);
+        });
+
+        test("should sample a finer grid for the same rows", () => {
+            const ascii = calculateDimensions(200, 100, 40, 0.5);
+            const braille = calculateDimensions(200, 100, 40, 0.5, "braille");
+
+            expect(braille.width).toBe(ascii.width);
+            expect(braille.height).toBe(ascii.height);
+            expect(braille.sampleWidth).toBe(80);
+            expect(braille.sampleHeight).toBe(ascii.height * 4);
+        });
+    });
+
+    describe("halfblock mode", () => {
+        test("should pack two image rows into one colored line", async () => {
+            const red = await sharp({
+                create: {
+                    width: 20,
+                    height: 20,
+                    channels: 3,
+                    background: { r: 255, g: 0, b: 0 },
+                },
+            })
+                .png()
+                .toBuffer();
+
+            const result = await convertToAscii(red, {
+                width: 10,
+                mode: "halfblock",
+                color: "truecolor",
+            });
+            const lines = result.split("\n").filter((line) => line.length > 0);
+
+            expect(lines).toHaveLength(5);
+            for (const line of lines) {
+                expect(line).toBe(
+                    "\x1b[38;2;255;0;0m\x1b[48;2;255;0;0m" +
+                        "▀".repeat(10) +
+                        "\x1b[0m"
+                );
+            }
+        });
+
+        test("should use block glyphs without color", async () => {
+            const result = await convertToAscii(testImageBuffer, {
+                width: 20,
+                mode: "halfblock",
+            });
+            const lines = result.split("\n").filter((line) => line.length > 0);
+
+            expect(lines).toHaveLength(10);
+            expect(lines[0][0]).toBe("█");
+            expect(lines[5][10]).toBe(" ");
+        });
+
+        test("should count preview lines as image rows", async () => {
+            const preview = await previewAscii(
+                testImageBuffer,
+                { width: 20, mode: "halfblock" },
+                6
+            );
+            const lines = preview.split("\n");
+
+            expect(lines).toHaveLength(4);
+            expect(lines[3]).toBe("... (truncated)");
+        });
+    });
+
+    describe("height and fit", () => {
+        test("should size to a height or a box", () => {
+            // A tall image: 80 columns would take 160 lines
+            expect(calculateDimensions(100, 400, 80, 0.5)).toMatchObject({
+                width: 80,
+                height: 160,
+                fit: "width",
+                crop: null,
+            });
+            expect(
+                calculateDimensions(100, 400, 80, 0.5, "ascii", {
+                    height: 24,
+                    fit: "height",
+                })
+            ).toMatchObject({ width: 12, height: 24 });
+            expect(
+                calculateDimensions(400, 100, 80, 0.5, "ascii", { height: 24 })
+            ).toMatchObject({ width: 80, height: 10, fit: "contain" });
+            expect(
+                calculateDimensions(100, 400, 80, 0.5, "ascii", {
+                    maxHeight: 30,
+                })
+            ).toMatchObject({ width: 15, height: 30 });
+        });
+
+        test("should crop the image evenly to cover a box", () => {
+            const dims = calculateDimensions(100, 400, 80, 0.5, "ascii", {
+                height: 24,
+                fit: "cover",
+            });
+
+            expect(dims).toMatchObject({ width: 80, height: 24 });
+            expect(dims.crop).toEqual({
+                left: 0,
+                top: 170,
+                width: 100,
+                height: 60,
+            });
+        });
+
+        test("should convert to the fitted dimensions", async () => {
+            for (const fit of ["height", "contain", "cover"]) {
+                const grid = await convertToGrid(testImageBuffer, {
+                    width: 40,
+                    height: 8,
+                    fit,
+                });
+                expect(grid.height).toBe(8);
+                expect(grid.width).toBe(fit === "cover" ? 40 : 16);
+            }
+
+            const halfblock = await convertToAscii(testImageBuffer, {
+                width: 40,
+                maxHeight: 5,
+                mode: "halfblock",
+            });
+            expect(halfblock.split("\n")).toHaveLength(6);
+        });
+
+        test("should validate height and fit options", () => {
+            expect(() => validateOptions({ height: 0 })).toThrow(
+                "Height must be an integer between 1 and 500"
+            );
+            expect(() => validateOptions({ maxHeight: 2.5 })).toThrow(
+                "Max height must be an integer"
+            );
+            expect(() => validateOptions({ fit: "stretch" })).toThrow(
+                "Fit must be one of"
+            );
+            expect(() => validateOptions({ fit: "cover" })).toThrow(
+                "Fit cover requires a height"
+            );
+        });
+    });
+
+    describe("transparency", () => {
+        // 60 × 40 image: transparent, 30% opaque, then opaque red thirds
+        let logo;
+
+        beforeAll(async () => {
+            const third = (alpha) => ({
+                create: {
+                    width: 20,
+                    height: 40,
+                    channels: 4,
+                    background: { r: 255, g: 0, b: 0, alpha },
+                },
+            });
+
+            logo = await sharp(third(0))
+                .extend({
+                    right: 40,
+                    background: { r: 0, g: 0, b: 0, alpha: 0 },
+                })
+                .composite([
+                    { input: third(0.3), left: 20, top: 0 },
+                    { input: third(1), left: 40, top: 0 },
+                ])
+                .png()
+                .toBuffer();
+        });
+
+        // Cells well inside each third of a 30 column grid
+        const thirds = (grid) =>
+            [3, 15, 26].map((x) => grid.cells[2 * grid.width + x]);
+
+        test("should flatten onto the background by default", async () => {
+            const [onBlack] = thirds(await convertToGrid(logo, { width: 30 }));
+            const [onWhite] = thirds(
+                await convertToGrid(logo, { width: 30, background: "#fff" })
+            );
+
+            expect(onBlack.transparent).toBeUndefined();
+            expect(onBlack.brightness).toBeLessThan(onWhite.brightness);
+        });
+
+        test("should blank fully or mostly transparent cells", async () => {
+            const blank = thirds(
+                await convertToGrid(logo, {
+                    width: 30,
+                    alphaMode: "blank",
+                    alphaChar: ".",
+                })
+            );
+            expect(blank.map((cell) => Boolean(cell.transparent))).toEqual([
+                true,
+                false,
+                false,
+            ]);
+            expect(blank[0].char).toBe(".");
+
+            const threshold = thirds(
+                await convertToGrid(logo, {
+                    width: 30,
+                    alphaMode: "threshold",
+                    alphaThreshold: 0.5,
+                })
+            );
+            expect(threshold.map((cell) => cell.char === " ")).toEqual([
+                true,
+                true,
+                false,
+            ]);
+        });
+
+        test("should leave transparent cells uncolored", async () => {
+            const grid = await convertToGrid(logo, {
+                width: 30,
+                color: "truecolor",
+                alphaMode: "blank",
+            });
+
+            const row = gridToAnsi(grid).split("\n")[0];
+            expect(row.startsWith("\x1b[0m" + " ".repeat(5))).toBe(true);
+            expect(row).toContain("\x1b[38;2;255;0;0m");
+
+            const halfblock = await convertToGrid(logo, {
+                width: 30,
+                mode: "halfblock",
+                color: "truecolor",
+                alphaMode: "blank",
+            });
+            expect(halfblock.cells[0]).toMatchObject({ transparent: true });
+            expect(halfblock.cells[0].bg).toBeUndefined();
+        });
+
+        test("should validate transparency options", () => {
+            expect(() => validateOptions({ background: "white" })).toThrow(
+                "Background must be a hex color"
+            );
+            expect(() => validateOptions({ alphaMode: "erase" })).toThrow(
+                "Alpha mode must be one of"
+            );
+            expect(() => validateOptions({ alphaThreshold: 2 })).toThrow(
+                "Alpha threshold must be a number between 0 and 1"
+            );
+            expect(() => validateOptions({ alphaThreshold: NaN })).toThrow(
+                "Alpha threshold must be a number between 0 and 1"
+            );
+            expect(() => validateOptions({ alphaChar: "ab" })).toThrow(
+                "Alpha character must be a single character"
+            );
+        });
+    });
+
+    describe("dithering", () => {
+        test("should break up banding with a short charset", async () => {
+            const gray = await sharp({
+                create: {
+                    width: 40,
+                    height: 40,
+                    channels: 3,
+                    background: { r: 128, g: 128, b: 128 },
+                },
+            })
+                .png()
+                .toBuffer();
+
+            const plain = await convertToAscii(gray, {
+                width: 20,
+                charset: "binary",
+                contrast: 1,
+            });
+            const dithered = await convertToAscii(gray, {
+                width: 20,
+                charset: "binary",
+                contrast: 1,
+                dither: "bayer4",
+            });
+
+            expect(new Set(plain.replace(/\n/g, "")).size).toBe(1);
+            expect(new Set(dithered.replace(/\n/g, "")).size).toBe(2);
+        });
+
+        test("should keep glyphs identical in color modes", async () => {
+            const options = { width: 20, dither: "floyd-steinberg" };
+            const plain = await convertToAscii(testImageBuffer, options);
+            const colored = await convertToAscii(testImageBuffer, {
+                ...options,
+                color: "truecolor",
+            });
+
+            expect(colored.replace(/\x1b\[[0-9;]*m/g, "")).toBe(plain);
+        });
+
+        test("should reject unknown algorithms", async () => {
+            await expect(
+                convertToAscii(testImageBuffer, { dither: "noise" })
+            ).rejects.toThrow();
+        });
+    });
+
+    describe("edges", () => {
+        test("should outline the square with directional glyphs", async () => {
+            const result = await convertToAscii(testImageBuffer, {
+                width: 20,
+                edges: true,
+                edgeBlend: 0,
+            });
+            const lines = result.split("\n").filter((line) => line.length > 0);
+
+            expect(lines[5][0]).toBe("|");
+            expect(lines[5][10]).toBe(" ");
+            expect(result).toMatch(/[_-]/);
+        });
+
+        test("should reject edges outside ascii mode", async () => {
+            await expect(
+                convertToAscii(testImageBuffer, {
+                    edges: true,
+                    mode: "braille",
+                })
+            ).rejects.toThrow();
+        });
+    });
+
     describe("getImageInfo", () => {
         test("should return image metadata", async () => {
             const info = await getImageInfo(testImageBuffer);
@@ -101,6 +639,55 @@ describe("ASCII-PIC Core Functions", () => {
         });
     });
 
+    describe("format detection", () => {
+        test("should sniff formats from magic bytes", async () => {
+            expect(sniffImageFormat(testImageBuffer)).toBe("png");
+            for (const format of ["jpeg", "webp", "tiff", "avif"]) {
+                expect(
+                    sniffImageFormat(
+                        await sharp(testImageBuffer)[format]().toBuffer()
+                    )
+                ).toBe(format);
+            }
+            expect(sniffImageFormat(Buffer.from("GIF89a\x01\x00"))).toBe("gif");
+            expect(sniffImageFormat(Buffer.from("BM\x00\x00"))).toBe("bmp");
+            expect(
+                sniffImageFormat(
+                    Buffer.from('\n<?xml version="1.0"?><svg width="1"/>')
+                )
+            ).toBe("svg");
+        });
+
+        test("should reject unknown content", () => {
+            expect(sniffImageFormat(Buffer.from("not an image"))).toBeNull();
+            expect(sniffImageFormat(Buffer.alloc(0))).toBeNull();
+        });
+
+        test("should judge files by content, not extension", async () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ascii-pic-"));
+            const misnamed = path.join(dir, "image.txt");
+            const renamed = path.join(dir, "notes.png");
+            fs.writeFileSync(misnamed, testImageBuffer);
+            fs.writeFileSync(renamed, "just some text");
+
+            try {
+                expect(await detectImageFormat(misnamed)).toBe("png");
+                expect(await detectImageFormat(testImageBuffer)).toBe("png");
+                expect(isSupportedImageFormat(misnamed)).toBe(true);
+                expect(isSupportedImageFormat(testImageBuffer)).toBe(true);
+                expect(isSupportedImageFormat(renamed)).toBe(false);
+                expect(isSupportedImageFormat(path.join(dir, "missing"))).toBe(
+                    false
+                );
+
+                const ascii = await convertToAscii(misnamed, { width: 20 });
+                expect(ascii.split("\n")).toHaveLength(11);
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+    });
+
     describe("validateOptions", () => {
         test("should return default options when no input provided", () => {
             const options = validateOptions();
@@ -128,6 +715,30 @@ describe("ASCII-PIC Core Functions", () => {
             expect(() => validateOptions({ aspectRatio: 0.05 })).toThrow();
             expect(() => validateOptions({ aspectRatio: 3.0 })).toThrow();
         });
+
+        test("should reject non-numeric sizes and ratios", () => {
+            expect(() => validateOptions({ width: NaN })).toThrow(
+                "Width must be a number"
+            );
+            expect(() => validateOptions({ contrast: NaN })).toThrow(
+                "Contrast must be a number"
+            );
+            expect(() => validateOptions({ aspectRatio: Infinity })).toThrow(
+                "Aspect ratio must be a number"
+            );
+        });
+
+        test("should reject non-numeric thresholds", () => {
+            expect(() => validateOptions({ threshold: NaN })).toThrow(
+                "Threshold must be a number between 0 and 1"
+            );
+            expect(() => validateOptions({ edgeThreshold: NaN })).toThrow(
+                "Edge threshold must be a number between 0 and 1"
+            );
+            expect(() => validateOptions({ edgeBlend: Infinity })).toThrow(
+                "Edge blend must be a number between 0 and 1"
+            );
+        });
     });
 
     describe("charset functions", () => {
@@ -147,6 +758,622 @@ describe("ASCII-PIC Core Functions", () => {
             expect(isValidCharset("nonexistent")).toBe(false);
             expect(isValidCharset("")).toBe(false);
         });
+
+        test("should register custom charsets", async () => {
+            registerCharset("test-ramp", "#+ ");
+
+            expect(isValidCharset("test-ramp")).toBe(true);
+            expect(getAvailableCharsets()).toContain("test-ramp");
+
+            const result = await convertToAscii(testImageBuffer, {
+                width: 10,
+                charset: "test-ramp",
+            });
+            expect(result.replace(/\n/g, "")).toMatch(/^[#+ ]+$/);
+
+            expect(() => registerCharset("blocks", "#+ ")).toThrow();
+            expect(() => registerCharset("short", "#")).toThrow();
+        });
+
+        test("should list registered charsets with their source", () => {
+            registerCharset("test-meta", "@o. ", { description: "House" });
+
+            const info = getCharsetInfo();
+            expect(info.find(({ name }) => name === "detailed").source).toBe(
+                "builtin"
+            );
+            expect(info.find(({ name }) => name === "test-meta")).toMatchObject(
+                { source: "user", description: "House" }
+            );
+
+            expect(unregisterCharset("test-meta")).toBe(true);
+            expect(isValidCharset("test-meta")).toBe(false);
+        });
+
+        test("should load charsets from a JSON file", async () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ascii-pic-"));
+            const file = path.join(dir, "charsets.json");
+            fs.writeFileSync(
+                file,
+                JSON.stringify({
+                    charsets: {
+                        "test-file-a": "#=- ",
+                        "test-file-b": { chars: "Xx ", description: "B" },
+                    },
+                })
+            );
+
+            try {
+                const names = await loadCharsetFile(file);
+
+                expect(names).toEqual(["test-file-a", "test-file-b"]);
+                expect(
+                    getCharsetInfo().find(({ name }) => name === "test-file-b")
+                ).toMatchObject({ chars: "Xx ", source: file });
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+
+        test("should use inline charset characters", async () => {
+            const result = await convertToAscii(testImageBuffer, {
+                width: 10,
+                charset: "nonexistent",
+                charsetChars: "X ",
+            });
+
+            expect(result.replace(/\n/g, "")).toMatch(/^[X ]+$/);
+        });
+
+        test("should keep characters outside the BMP whole", async () => {
+            for (const dither of ["none", "atkinson"]) {
+                const result = await convertToAscii(testImageBuffer, {
+                    width: 10,
+                    charsetChars: "🌑🌓🌕",
+                    dither,
+                });
+
+                expect(result.replace(/\n/g, "")).toMatch(/^[🌑🌓🌕]+$/u);
+                expect(result).toContain("🌕");
+            }
+        });
+    });
+
+    describe("batch conversion", () => {
+        test("should bound concurrency and keep input order", async () => {
+            let inFlight = 0;
+            let peak = 0;
+
+            const results = await mapWithConcurrency(
+                [30, 5, 20, 1, 10],
+                2,
+                async (delay, index) => {
+                    inFlight++;
+                    peak = Math.max(peak, inFlight);
+                    await new Promise((resolve) => setTimeout(resolve, delay));
+                    inFlight--;
+                    return index;
+                }
+            );
+
+            expect(results).toEqual([0, 1, 2, 3, 4]);
+            expect(peak).toBe(2);
+            await expect(
+                mapWithConcurrency([1], 0, async () => {})
+            ).rejects.toThrow("Concurrency must be a positive integer");
+        });
+
+        test("should report per-file failures in input order", async () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ascii-pic-"));
+            const files = ["a.png", "b.png", "c.png"].map((name) =>
+                path.join(dir, name)
+            );
+            fs.writeFileSync(files[0], testImageBuffer);
+            // Valid PNG signature with the rest of the file missing
+            fs.writeFileSync(files[1], testImageBuffer.subarray(0, 40));
+            fs.writeFileSync(files[2], testImageBuffer);
+
+            try {
+                const results = await new AsciiPic({
+                    width: 20,
+                }).batchConvert(files, { concurrency: 3 });
+
+                expect(results.map((result) => result.inputFile)).toEqual(
+                    files
+                );
+                expect(results.map((result) => result.success)).toEqual([
+                    true,
+                    false,
+                    true,
+                ]);
+                expect(results[1].code).toBe("ERR_CORRUPT_IMAGE");
+                expect(fs.existsSync(path.join(dir, "c.ascii.txt"))).toBe(true);
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe("directory batches", () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), "ascii-pic-"));
+            for (const file of [
+                "src/cat.png",
+                "src/a/cat.png",
+                "src/b/cat.png",
+                "src/b/skip/dog.png",
+                "src/b/notes.txt",
+            ]) {
+                fs.mkdirSync(path.dirname(path.join(dir, file)), {
+                    recursive: true,
+                });
+                fs.writeFileSync(
+                    path.join(dir, file),
+                    file.endsWith(".png") ? testImageBuffer : "text"
+                );
+            }
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test("should resolve directory input with excludes", async () => {
+            const src = path.join(dir, "src");
+
+            expect((await resolveInputFiles(src)).files).toEqual([
+                path.join(src, "cat.png"),
+            ]);
+
+            const { files, baseDir } = await resolveInputFiles(src, {
+                recursive: true,
+                exclude: ["**/skip/**"],
+            });
+            expect(baseDir).toBe(path.resolve(src));
+            expect(files).toEqual(
+                ["a/cat.png", "b/cat.png", "b/notes.txt", "cat.png"].map(
+                    (file) => path.join(src, file)
+                )
+            );
+        });
+
+        test("should mirror the source tree under outputDir", async () => {
+            const out = path.join(dir, "out");
+            const results = await new AsciiPic({ width: 20 }).batchConvert(
+                path.join(dir, "src"),
+                { outputDir: out, recursive: true, concurrency: 2 }
+            );
+
+            expect(results.every((result) => result.success)).toBe(true);
+            for (const file of [
+                "cat.ascii.txt",
+                "a/cat.ascii.txt",
+                "b/cat.ascii.txt",
+                "b/skip/dog.ascii.txt",
+            ]) {
+                expect(fs.existsSync(path.join(out, file))).toBe(true);
+            }
+        });
+
+        test("should report output name collisions", async () => {
+            const files = ["src/a/cat.png", "src/b/cat.png"].map((file) =>
+                path.join(dir, file)
+            );
+            fs.copyFileSync(files[0], path.join(dir, "src/a/cat.webp"));
+            files.splice(1, 0, path.join(dir, "src/a/cat.webp"));
+
+            const results = await new AsciiPic({ width: 20 }).batchConvert(
+                files,
+                { outputDir: path.join(dir, "out") }
+            );
+
+            expect(results.map((result) => result.success)).toEqual([
+                true,
+                false,
+                true,
+            ]);
+            expect(results[1].code).toBe("ERR_OUTPUT_COLLISION");
+            expect(results[1].error).toContain(files[0]);
+        });
+    });
+
+    describe("output templates", () => {
+        test("should expand placeholders into output paths", async () => {
+            const date = new Date(2024, 0, 5);
+
+            expect(
+                await templateOutputPath(
+                    "{name}.w{width}.{charset}.{format}",
+                    "photos/cat.png",
+                    { width: 120, charset: "blocks", format: "html" }
+                )
+            ).toBe(path.join("photos", "cat.w120.blocks.html"));
+            expect(
+                await templateOutputPath(
+                    "{dir}/{date}-{name}-{ext}.{format}",
+                    "/src/a/b/cat.jpg",
+                    { outputDir: "out", baseDir: "/src", date }
+                )
+            ).toBe(path.join("out", "a", "b", "2024-01-05-cat-jpg.txt"));
+            expect(
+                await templateOutputPath("{hash}.txt", "cat.png", {
+                    source: Buffer.from("abc"),
+                })
+            ).toBe("a9993e36.txt");
+        });
+
+        test("should reproduce the default naming", async () => {
+            expect(
+                await templateOutputPath(
+                    DEFAULT_OUTPUT_TEMPLATE,
+                    "photos/cat.png"
+                )
+            ).toBe(generateOutputPath("photos/cat.png"));
+        });
+
+        test("should reject unknown placeholders", () => {
+            expect(() => expandOutputTemplate("{name}-{size}", {})).toThrow(
+                "Unknown output template placeholder: {size}"
+            );
+        });
+
+        test("should write batch variants side by side", async () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ascii-pic-"));
+            const file = path.join(dir, "cat.png");
+            fs.writeFileSync(file, testImageBuffer);
+
+            try {
+                const results = await new AsciiPic({ width: 20 }).batchConvert(
+                    [file],
+                    {
+                        outputTemplate: "{name}.w{width}.{charset}.{format}",
+                        variants: [
+                            {},
+                            { width: 40, charset: "blocks", format: "html" },
+                            { width: 40, charset: "blocks", format: "html" },
+                        ],
+                    }
+                );
+
+                expect(results.map((result) => result.success)).toEqual([
+                    true,
+                    true,
+                    false,
+                ]);
+                expect(results[2].code).toBe("ERR_OUTPUT_COLLISION");
+                expect(fs.readdirSync(dir).sort()).toEqual([
+                    "cat.png",
+                    "cat.w20.detailed.txt",
+                    "cat.w40.blocks.html",
+                ]);
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe("incremental batches", () => {
+        let dir;
+        let files;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), "ascii-pic-"));
+            files = ["a.png", "b.png"].map((name) => path.join(dir, name));
+            files.forEach((file) => fs.writeFileSync(file, testImageBuffer));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        const run = (options = {}) =>
+            new AsciiPic({ width: 20 }).batchConvert(files, {
+                incremental: true,
+                ...options,
+            });
+
+        test("should skip outputs that are unchanged", async () => {
+            const first = await run();
+            expect(first.some((result) => result.skipped)).toBe(false);
+            expect(fs.existsSync(path.join(dir, MANIFEST_FILENAME))).toBe(true);
+
+            const second = await run();
+            expect(second.map((result) => result.skipped)).toEqual([
+                true,
+                true,
+            ]);
+            expect(second[0]).toMatchObject({ success: true });
+        });
+
+        test("should reconvert changed sources and options", async () => {
+            await run();
+            fs.writeFileSync(
+                files[1],
+                await sharp(testImageBuffer).negate().png().toBuffer()
+            );
+
+            const changedSource = await run();
+            expect(
+                changedSource.map((result) => Boolean(result.skipped))
+            ).toEqual([true, false]);
+
+            const changedOptions = await run({ invert: true });
+            expect(
+                changedOptions.map((result) => Boolean(result.skipped))
+            ).toEqual([false, false]);
+        });
+
+        test("should reconvert when a registered charset changes", async () => {
+            registerCharset("test-incremental", "#+ ");
+
+            try {
+                await run({ charset: "test-incremental" });
+                const unchanged = await run({ charset: "test-incremental" });
+                expect(unchanged.every((result) => result.skipped)).toBe(true);
+
+                registerCharset("test-incremental", "@o. ");
+                const changed = await run({ charset: "test-incremental" });
+                expect(
+                    changed.map((result) => Boolean(result.skipped))
+                ).toEqual([false, false]);
+            } finally {
+                unregisterCharset("test-incremental");
+            }
+        });
+
+        test("should bypass the manifest when forced", async () => {
+            await run();
+            fs.unlinkSync(path.join(dir, "b.ascii.txt"));
+
+            const missing = await run();
+            expect(missing.map((result) => Boolean(result.skipped))).toEqual([
+                true,
+                false,
+            ]);
+
+            const forced = await run({ force: true });
+            expect(forced.map((result) => Boolean(result.skipped))).toEqual([
+                false,
+                false,
+            ]);
+        });
+    });
+
+    describe("progress events and cancellation", () => {
+        let dir;
+        let files;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), "ascii-pic-"));
+            files = ["a.png", "b.png", "c.png"].map((name) =>
+                path.join(dir, name)
+            );
+            files.forEach((file) => fs.writeFileSync(file, testImageBuffer));
+            fs.writeFileSync(files[1], testImageBuffer.subarray(0, 40));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test("should emit batch lifecycle events", async () => {
+            const asciiPic = new AsciiPic({ width: 20 });
+            const events = [];
+            ["start", "file:start", "file:done", "file:error", "done"].forEach(
+                (name) =>
+                    asciiPic.on(name, (event) => events.push([name, event]))
+            );
+
+            await asciiPic.batchConvert(files, { concurrency: 1 });
+
+            expect(events.map(([name]) => name)).toEqual([
+                "start",
+                "file:start",
+                "file:done",
+                "file:start",
+                "file:error",
+                "file:start",
+                "file:done",
+                "done",
+            ]);
+            expect(events[0][1]).toEqual({ total: 3 });
+            expect(events[4][1]).toMatchObject({
+                file: files[1],
+                index: 1,
+                completed: 2,
+            });
+            expect(events[4][1].error.code).toBe("ERR_CORRUPT_IMAGE");
+            expect(events[7][1]).toMatchObject({
+                total: 3,
+                completed: 3,
+                succeeded: 2,
+                failed: 1,
+                aborted: false,
+            });
+        });
+
+        test("should stop a batch when aborted", async () => {
+            const asciiPic = new AsciiPic({ width: 20 });
+            const controller = new AbortController();
+            let summary;
+            asciiPic.on("file:done", () => controller.abort());
+            asciiPic.on("done", (event) => (summary = event));
+
+            await expect(
+                asciiPic.batchConvert(files, {
+                    concurrency: 1,
+                    signal: controller.signal,
+                })
+            ).rejects.toMatchObject({ name: "AbortError" });
+
+            expect(summary).toMatchObject({ completed: 1, aborted: true });
+            expect(fs.existsSync(path.join(dir, "c.ascii.txt"))).toBe(false);
+        });
+
+        test("should reject single conversions when aborted", async () => {
+            const asciiPic = new AsciiPic({ width: 20 });
+            const controller = new AbortController();
+            const onDone = jest.fn();
+            asciiPic.on("file:done", onDone);
+            controller.abort();
+
+            await expect(
+                asciiPic.convert(testImageBuffer, {
+                    signal: controller.signal,
+                })
+            ).rejects.toMatchObject({ name: "AbortError" });
+            await expect(
+                asciiPic.convertToFile(files[0], path.join(dir, "out.txt"), {
+                    signal: controller.signal,
+                })
+            ).rejects.toMatchObject({ name: "AbortError" });
+
+            expect(onDone).not.toHaveBeenCalled();
+            expect(fs.existsSync(path.join(dir, "out.txt"))).toBe(false);
+        });
+    });
+
+    describe("watch mode", () => {
+        let dir;
+        let watcher;
+
+        // Resolve with the next event of a name, failing after a timeout
+        const nextEvent = (emitter, name) =>
+            new Promise((resolve, reject) => {
+                const timer = setTimeout(
+                    () => reject(new Error(`No ${name} event`)),
+                    3000
+                );
+                emitter.once(name, (event) => {
+                    clearTimeout(timer);
+                    resolve(event);
+                });
+            });
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), "ascii-pic-"));
+            fs.mkdirSync(path.join(dir, "src"));
+            fs.writeFileSync(path.join(dir, "src", "a.png"), testImageBuffer);
+        });
+
+        afterEach(async () => {
+            await watcher?.close();
+            watcher = null;
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test("should find the root a glob or directory matches under", async () => {
+            expect(await inputRoot(dir)).toBe(dir);
+            expect(await inputRoot(path.join(dir, "src", "*.png"))).toBe(
+                path.join(dir, "src")
+            );
+            expect(await inputRoot(path.join(dir, "**", "*.png"))).toBe(dir);
+            expect(await inputRoot(path.join(dir, "src", "a.png"))).toBe(
+                path.join(dir, "src")
+            );
+        });
+
+        test("should convert added images and delete outputs of removed ones", async () => {
+            const asciiPic = new AsciiPic({ width: 20 });
+            const outputDir = path.join(dir, "out");
+
+            watcher = await asciiPic.watch(path.join(dir, "src"), {
+                outputDir,
+                deleteOutputs: true,
+                debounce: 20,
+            });
+            expect(fs.existsSync(path.join(outputDir, "a.ascii.txt"))).toBe(
+                true
+            );
+
+            const changed = nextEvent(asciiPic, "watch:change");
+            const done = nextEvent(asciiPic, "done");
+            fs.writeFileSync(path.join(dir, "src", "b.png"), testImageBuffer);
+            expect(await changed).toEqual({
+                files: [path.join(dir, "src", "b.png")],
+            });
+            await done;
+            expect(fs.existsSync(path.join(outputDir, "b.ascii.txt"))).toBe(
+                true
+            );
+
+            const deleted = nextEvent(asciiPic, "watch:delete");
+            fs.unlinkSync(path.join(dir, "src", "a.png"));
+            expect(await deleted).toEqual({
+                file: path.join(dir, "src", "a.png"),
+                outputFile: path.join(outputDir, "a.ascii.txt"),
+            });
+            expect(fs.existsSync(path.join(outputDir, "a.ascii.txt"))).toBe(
+                false
+            );
+        });
+
+        test("should reject a missing input path", async () => {
+            const asciiPic = new AsciiPic({ width: 20 });
+
+            await expect(
+                asciiPic.watch(path.join(dir, "missing"))
+            ).rejects.toThrow("no such file or directory");
+            await expect(
+                asciiPic.watch(path.join(dir, "missing", "*.png"))
+            ).rejects.toThrow("no such file or directory");
+        });
+
+        test("should watch subdirectories without recursive fs.watch", async () => {
+            // As on Linux before Node 20
+            const watch = fs.watch;
+            const spy = jest
+                .spyOn(fs, "watch")
+                .mockImplementation((target, options, listener) => {
+                    if (options && options.recursive) {
+                        const error = new Error("recursive unavailable");
+                        error.code = "ERR_FEATURE_UNAVAILABLE_ON_PLATFORM";
+                        throw error;
+                    }
+                    return watch(target, options, listener);
+                });
+
+            try {
+                const asciiPic = new AsciiPic({ width: 20 });
+                watcher = await asciiPic.watch(dir, {
+                    recursive: true,
+                    preview: true,
+                    debounce: 20,
+                });
+
+                // A directory created after watching began is watched too
+                const nested = path.join(dir, "src", "new");
+                fs.mkdirSync(nested);
+                await new Promise((resolve) => setTimeout(resolve, 200));
+
+                const changed = nextEvent(asciiPic, "watch:change");
+                fs.writeFileSync(path.join(nested, "c.png"), testImageBuffer);
+                expect(await changed).toEqual({
+                    files: [path.join(nested, "c.png")],
+                });
+            } finally {
+                spy.mockRestore();
+            }
+        });
+
+        test("should emit previews instead of writing files", async () => {
+            const asciiPic = new AsciiPic({ width: 20 });
+            const preview = nextEvent(asciiPic, "watch:preview");
+
+            watcher = await asciiPic.watch(path.join(dir, "src"), {
+                preview: true,
+                debounce: 20,
+            });
+
+            const { file, art } = await preview;
+            expect(file).toBe(path.join(dir, "src", "a.png"));
+            expect(art).toBe(
+                await convertToAscii(testImageBuffer, { width: 20 })
+            );
+            expect(fs.readdirSync(path.join(dir, "src"))).toEqual(["a.png"]);
+        });
     });
 
     describe("error handling", () => {
@@ -156,6 +1383,38 @@ describe("ASCII-PIC Core Functions", () => {
             await expect(convertToAscii(invalidBuffer)).rejects.toThrow();
         });
 
+        test("should reject unrecognized content as unsupported", async () => {
+            const error = await convertToAscii(
+                Buffer.from("not an image")
+            ).catch((e) => e);
+
+            expect(error).toBeInstanceOf(UnsupportedFormatError);
+            expect(error.code).toBe("ERR_UNSUPPORTED_FORMAT");
+        });
+
+        test("should report truncated images as corrupt", async () => {
+            const jpeg = await sharp(testImageBuffer).jpeg().toBuffer();
+            const error = await convertToAscii(
+                jpeg.subarray(0, jpeg.length / 2)
+            ).catch((e) => e);
+
+            expect(error).toBeInstanceOf(CorruptImageError);
+            expect(error.code).toBe("ERR_CORRUPT_IMAGE");
+            expect(error.cause).toBeInstanceOf(Error);
+        });
+
+        test("should report images over the pixel limit", async () => {
+            // Tiny PNG whose header claims 30000 × 30000 pixels
+            const png = Buffer.from(testImageBuffer);
+            png.writeUInt32BE(30000, 16);
+            png.writeUInt32BE(30000, 20);
+            png.writeUInt32BE(zlib.crc32(png.subarray(12, 29)), 29);
+            const error = await convertToAscii(png).catch((e) => e);
+
+            expect(error).toBeInstanceOf(ImageTooLargeError);
+            expect(error.code).toBe("ERR_IMAGE_TOO_LARGE");
+        });
+
         test("should handle non-existent file", async () => {
             await expect(
                 convertToAscii("/path/that/does/not/exist.jpg")
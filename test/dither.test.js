@@ -0,0 +1,61 @@
+const {
+    DITHER_ALGORITHMS,
+    bayerMatrix,
+    ditherPlane,
+} = require("../src/dither");
+
+describe("Dithering", () => {
+    const width = 16;
+    const height = 16;
+    const midGray = new Float64Array(width * height).fill(0.5);
+
+    const mean = (levels, maxLevel) =>
+        levels.reduce((sum, level) => sum + level, 0) /
+        levels.length /
+        maxLevel;
+
+    test("should build Bayer matrices covering every threshold", () => {
+        expect(bayerMatrix(2)).toEqual([
+            [0, 2],
+            [3, 1],
+        ]);
+
+        const values = bayerMatrix(8)
+            .flat()
+            .sort((a, b) => a - b);
+        expect(values).toEqual([...Array(64).keys()]);
+    });
+
+    test.each(DITHER_ALGORITHMS.filter((name) => name !== "none"))(
+        "%s should preserve average brightness",
+        (algorithm) => {
+            const levels = ditherPlane(midGray, width, height, 2, algorithm);
+
+            expect(new Set(levels)).toEqual(new Set([0, 1]));
+            expect(mean(levels, 1)).toBeCloseTo(0.5, 1);
+        }
+    );
+
+    test("should quantize to multiple levels", () => {
+        const ramp = Float64Array.from(
+            { length: width * height },
+            (_, i) => (i % width) / (width - 1)
+        );
+        const levels = ditherPlane(ramp, width, height, 4, "atkinson");
+
+        expect(Math.max(...levels)).toBe(3);
+        expect(Math.min(...levels)).toBe(0);
+        expect(mean(levels, 3)).toBeCloseTo(0.5, 1);
+    });
+
+    test("should not modify the input plane", () => {
+        const input = Float64Array.from(midGray);
+        ditherPlane(input, width, height, 2, "jarvis-judice-ninke");
+
+        expect(input).toEqual(midGray);
+    });
+
+    test("should reject unknown algorithms", () => {
+        expect(() => ditherPlane(midGray, width, height, 2, "noise")).toThrow();
+    });
+});
@@ -0,0 +1,36 @@
+const { sobel, edgeGlyph, overlayEdges } = require("../src/edges");
+
+describe("Edge detection", () => {
+    // 6×6 plane: dark left half, bright right half
+    const width = 6;
+    const height = 6;
+    const split = Float64Array.from({ length: width * height }, (_, i) =>
+        i % width < 3 ? 0 : 1
+    );
+
+    test("should find a vertical edge between halves", () => {
+        const { magnitude } = sobel(split, width, height);
+
+        expect(magnitude[2]).toBeCloseTo(4 / (4 * Math.SQRT2));
+        expect(magnitude[0]).toBe(0);
+        expect(magnitude[5]).toBe(0);
+    });
+
+    test("should pick glyphs matching the edge direction", () => {
+        expect(edgeGlyph(1, 0)).toBe("|");
+        expect(edgeGlyph(-1, 0)).toBe("|");
+        expect(edgeGlyph(0, 1)).toBe("-");
+        expect(edgeGlyph(0, -1)).toBe("_");
+        expect(edgeGlyph(1, 1)).toBe("/");
+        expect(edgeGlyph(1, -1)).toBe("\\");
+    });
+
+    test("should overlay glyphs above the threshold only", () => {
+        const chars = new Array(width * height).fill(".");
+        const replaced = overlayEdges(chars, split, width, height, 0.5);
+
+        expect(replaced).toBe(2 * height);
+        expect(chars.slice(0, width).join("")).toBe("..||..");
+        expect(overlayEdges(chars.fill("."), split, width, height, 1)).toBe(0);
+    });
+});
@@ -0,0 +1,151 @@
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const { brightnessTable, glyphTable } = require("../src/lookup");
+const { getAvailableCharsets, getCharset } = require("../src/charsets");
+const { convertToAscii } = require("../src/converter");
+
+const sampleImage = path.join(
+    __dirname,
+    "..",
+    "examples",
+    "sample-images",
+    "my-cat-friday.png"
+);
+
+// The per-pixel formulas the lookup tables replace
+const formulaBrightness = (level, contrast, invert) => {
+    let value = Math.pow(level / 255, 1 / contrast);
+    value = Math.max(0, Math.min(1, value));
+    return invert ? 1 - value : value;
+};
+
+const formulaGlyph = (brightness, charset) =>
+    charset[charset.length - 1 - Math.floor(brightness * (charset.length - 1))];
+
+// The sample image, opaque throughout, faded from transparent on the left
+// to opaque on the right
+const fadeImage = async (file) => {
+    const { data, info } = await sharp(file)
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    const { width, height } = info;
+    const pixels = Buffer.alloc(width * height * 4);
+
+    for (let i = 0; i < width * height; i++) {
+        data.copy(pixels, i * 4, i * 3, i * 3 + 3);
+        pixels[i * 4 + 3] = Math.round(((i % width) / (width - 1)) * 255);
+    }
+
+    return sharp(pixels, { raw: { width, height, channels: 4 } })
+        .png()
+        .toBuffer();
+};
+
+describe("Lookup tables", () => {
+    const levels = [...Array(256).keys()];
+
+    test("should match the brightness formula at every level", () => {
+        for (const contrast of [0.1, 0.7, 1, 1.2, 2.5, 5]) {
+            for (const invert of [false, true]) {
+                const table = brightnessTable(contrast, invert);
+
+                expect(Array.from(table)).toEqual(
+                    levels.map((level) =>
+                        formulaBrightness(level, contrast, invert)
+                    )
+                );
+            }
+        }
+    });
+
+    test.each(getAvailableCharsets())(
+        "should match the glyph formula for the %s charset",
+        (name) => {
+            const charset = [...getCharset(name)];
+
+            for (const contrast of [0.5, 1.2, 3]) {
+                for (const invert of [false, true]) {
+                    for (const scale of [1, 0.4]) {
+                        expect(
+                            glyphTable(charset, contrast, invert, scale)
+                        ).toEqual(
+                            levels.map((level) =>
+                                formulaGlyph(
+                                    formulaBrightness(level, contrast, invert) *
+                                        scale,
+                                    charset
+                                )
+                            )
+                        );
+                    }
+                }
+            }
+        }
+    );
+
+    test("should reuse tables for the same options", () => {
+        expect(brightnessTable(1.2, false)).toBe(brightnessTable(1.2, false));
+        const charset = [..."@. "];
+
+        expect(glyphTable(charset, 1.2, true)).toBe(
+            glyphTable([..."@. "], 1.2, true)
+        );
+        expect(glyphTable(charset, 1.2, true)).not.toBe(
+            glyphTable(charset, 1.2, false)
+        );
+    });
+
+    const readGolden = (name) =>
+        fs.readFileSync(
+            path.join(__dirname, "fixtures", "golden", `${name}.txt`),
+            "utf8"
+        );
+
+    // Output of the per-pixel implementation for the sample image, one
+    // fixture per case
+    test.each([
+        ["ascii", { width: 60 }],
+        ["ascii-invert-contrast", { width: 60, invert: true, contrast: 2.5 }],
+        [
+            "ascii-blocks-low-contrast",
+            { width: 48, charset: "blocks", contrast: 0.6 },
+        ],
+        [
+            "ascii-edges-dither",
+            { width: 60, edges: true, edgeBlend: 0.4, dither: "atkinson" },
+        ],
+        ["ascii-ansi256", { width: 60, color: "ansi256" }],
+        [
+            "braille",
+            { width: 40, mode: "braille", threshold: 0.4, invert: true },
+        ],
+        ["braille-ansi256", { width: 40, mode: "braille", color: "ansi256" }],
+        ["halfblock", { width: 40, mode: "halfblock", contrast: 1.8 }],
+        [
+            "halfblock-truecolor",
+            { width: 30, mode: "halfblock", color: "truecolor", contrast: 2 },
+        ],
+    ])("should match the golden %s output", async (name, options) => {
+        expect(await convertToAscii(sampleImage, options)).toBe(
+            readGolden(name)
+        );
+    });
+
+    // The same for its faded copy, where transparency decides cells
+    test.each([
+        ["ascii-alpha-threshold", { width: 60 }],
+        ["braille-alpha-threshold", { width: 40, mode: "braille" }],
+    ])("should match the golden %s output", async (name, options) => {
+        const faded = await fadeImage(sampleImage);
+
+        expect(
+            await convertToAscii(faded, {
+                ...options,
+                alphaMode: "threshold",
+                alphaThreshold: 0.5,
+            })
+        ).toBe(readGolden(name));
+    });
+});
@@ -0,0 +1,143 @@
+const sharp = require("sharp");
+const { parseCrop, PREPROCESS_STEPS } = require("../src/preprocess");
+const { convertToGrid, convertToAscii } = require("../src/converter");
+const { validateOptions } = require("../src/utils");
+
+describe("Pre-processing", () => {
+    // 80 × 40 image, black on the left half and white on the right
+    let image;
+
+    beforeAll(async () => {
+        image = await sharp({
+            create: {
+                width: 80,
+                height: 40,
+                channels: 3,
+                background: { r: 255, g: 255, b: 255 },
+            },
+        })
+            .composite([
+                {
+                    input: {
+                        create: {
+                            width: 40,
+                            height: 40,
+                            channels: 3,
+                            background: { r: 0, g: 0, b: 0 },
+                        },
+                    },
+                    left: 0,
+                    top: 0,
+                },
+            ])
+            .png()
+            .toBuffer();
+    });
+
+    test("should parse crop boxes in pixels or percent", () => {
+        expect(parseCrop("10,20%,50%,30")).toEqual({
+            left: { value: 10, percent: false },
+            top: { value: 20, percent: true },
+            width: { value: 50, percent: true },
+            height: { value: 30, percent: false },
+        });
+        expect(parseCrop({ left: 0, top: 0, width: 5, height: "5%" })).toEqual(
+            parseCrop("0,0,5,5%")
+        );
+        expect(() => parseCrop("1,2,3")).toThrow("Crop must be");
+        expect(() => parseCrop("0,0,150%,10")).toThrow("Crop must be");
+    });
+
+    test("should record each step applied in the grid metadata", async () => {
+        const grid = await convertToGrid(image, {
+            width: 10,
+            crop: "50%,0,50%,100%",
+            rotate: 90,
+            gamma: 2,
+        });
+
+        expect(grid.metadata.preprocess).toEqual([
+            { step: "crop", left: 40, top: 0, width: 40, height: 40 },
+            { step: "rotate", angle: 90 },
+            { step: "gamma", value: 2 },
+        ]);
+        expect(grid.metadata.source).toMatchObject({ width: 80, height: 40 });
+
+        const plain = await convertToGrid(image, { width: 10 });
+        expect(plain.metadata.preprocess).toEqual([]);
+    });
+
+    test("should apply steps in pipeline order", async () => {
+        // Cropping the right half before rotating leaves only white, which
+        // holds whichever order the options are given in
+        const cropped = await convertToAscii(image, {
+            width: 10,
+            rotate: 90,
+            crop: "50%,0,50%,100%",
+        });
+
+        expect(new Set(cropped.replace(/\n/g, ""))).toEqual(new Set(["@"]));
+        expect(PREPROCESS_STEPS.indexOf("crop")).toBeLessThan(
+            PREPROCESS_STEPS.indexOf("rotate")
+        );
+    });
+
+    test("should rotate and mirror the image", async () => {
+        const rotated = await convertToGrid(image, { width: 10, rotate: 90 });
+        expect(rotated.height).toBeGreaterThan(
+            (await convertToGrid(image, { width: 10 })).height
+        );
+
+        const art = await convertToAscii(image, { width: 10 });
+        const flopped = await convertToAscii(image, { width: 10, flop: true });
+        expect(flopped.split("\n")[0]).toBe(
+            [...art.split("\n")[0]].reverse().join("")
+        );
+    });
+
+    test("should trim uniform borders", async () => {
+        const framed = await sharp(image)
+            .extend({
+                top: 20,
+                bottom: 20,
+                left: 20,
+                right: 20,
+                background: { r: 128, g: 128, b: 128 },
+            })
+            .toBuffer();
+
+        const grid = await convertToGrid(framed, { width: 10, trim: true });
+        expect(grid.height).toBe(
+            (await convertToGrid(image, { width: 10 })).height
+        );
+
+        // A zero threshold trims only exact matches, but still trims
+        const exact = await convertToGrid(framed, { width: 10, trim: 0 });
+        expect(exact.metadata.preprocess).toEqual([
+            { step: "trim", threshold: 0 },
+        ]);
+        expect(exact.height).toBe(grid.height);
+    });
+
+    test("should validate pre-processing options", () => {
+        expect(() => validateOptions({ gamma: 0.5 })).toThrow(
+            "Gamma must be a number between 1 and 3"
+        );
+        expect(() => validateOptions({ gamma: NaN })).toThrow(
+            "Gamma must be a number between 1 and 3"
+        );
+        expect(() => validateOptions({ brightness: 0 })).toThrow(
+            "Brightness must be"
+        );
+        expect(() => validateOptions({ brightness: NaN })).toThrow(
+            "Brightness must be"
+        );
+        expect(() => validateOptions({ blur: 0.1 })).toThrow("Blur must be");
+        expect(() => validateOptions({ flip: "yes" })).toThrow(
+            "Flip must be true or false"
+        );
+        expect(() => validateOptions({ rotate: "left" })).toThrow(
+            "Rotate must be an angle in degrees"
+        );
+    });
+});
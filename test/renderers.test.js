@@ -0,0 +1,87 @@
+const sharp = require("sharp");
+const {
+    parseAnsiArt,
+    renderHtml,
+    renderSvg,
+    renderToImage,
+    renderArt,
+    formatFromPath,
+} = require("../src/renderers");
+
+describe("Renderers", () => {
+    const colored = "\x1b[38;2;255;0;0m@@\x1b[38;5;21m#\x1b[0m\n<&\n";
+
+    test("should parse ANSI-colored art into runs", () => {
+        const lines = parseAnsiArt(colored);
+
+        expect(lines).toHaveLength(2);
+        expect(lines[0]).toEqual([
+            { text: "@@", fg: "#ff0000", bg: null },
+            { text: "#", fg: "#0000ff", bg: null },
+        ]);
+        expect(lines[1]).toEqual([{ text: "<&", fg: null, bg: null }]);
+    });
+
+    test("should render a self-contained HTML page", () => {
+        const html = renderHtml(colored, { background: "#000000" });
+
+        expect(html).toMatch(/^<!DOCTYPE html>/);
+        expect(html).toContain('<span style="color:#ff0000">@@</span>');
+        expect(html).toContain("&lt;&amp;");
+        expect(html).toContain("background: #000000");
+        expect(html).not.toContain("\x1b");
+    });
+
+    test("should render one SVG text element per row", () => {
+        const svg = renderSvg(colored, { fontSize: 10 });
+
+        expect(svg).toMatch(/^<svg /);
+        expect(svg.match(/<text /g)).toHaveLength(2);
+        expect(svg).toContain('<tspan fill="#ff0000">@@</tspan>');
+        expect(svg).toContain('width="18"');
+    });
+
+    test("should pick the format from the file extension", () => {
+        expect(formatFromPath("out/cat.html")).toBe("html");
+        expect(formatFromPath("cat.SVG")).toBe("svg");
+        expect(formatFromPath("cat.png")).toBe("png");
+        expect(formatFromPath("cat.ascii.txt")).toBe("text");
+    });
+
+    test("should rasterise art to an image sized by the cell grid", async () => {
+        const png = await renderToImage(colored, {
+            cellWidth: 8,
+            cellHeight: 16,
+            padding: 4,
+        });
+        const metadata = await sharp(png).metadata();
+
+        expect(metadata.format).toBe("png");
+        expect(metadata.width).toBe(3 * 8 + 8);
+        expect(metadata.height).toBe(2 * 16 + 8);
+
+        const webp = await renderToImage("@@\n", { format: "webp" });
+        expect((await sharp(webp).metadata()).format).toBe("webp");
+    });
+
+    test("should reject colors and fonts that would break the markup", () => {
+        expect(renderHtml("@", { background: "rgb(0, 0, 0)" })).toContain(
+            "background: rgb(0, 0, 0)"
+        );
+        expect(() =>
+            renderHtml("@", { background: "red}</style><script>" })
+        ).toThrow("Background must be a CSS color");
+        expect(() => renderSvg("@", { foreground: '#fff" onload="x' })).toThrow(
+            "Foreground must be a CSS color"
+        );
+        expect(() =>
+            renderHtml("@", { fontFamily: "serif; } body { display: none" })
+        ).toThrow("Font family must be");
+    });
+
+    test("should reject unknown formats", async () => {
+        await expect(renderArt("@", "text")).resolves.toBe("@");
+        await expect(renderArt("@", "pdf")).rejects.toThrow();
+        await expect(renderToImage("@", { format: "gif" })).rejects.toThrow();
+    });
+});
@@ -0,0 +1,51 @@
+const {
+    gridToText,
+    gridToAnsi,
+    gridToRuns,
+    gridToJson,
+} = require("../src/serializers");
+
+describe("Grid serializers", () => {
+    const red = [255, 0, 0];
+    const blue = [0, 0, 255];
+    const grid = {
+        width: 3,
+        height: 2,
+        cells: [
+            { char: "@", brightness: 1, rgb: red, alpha: 1 },
+            { char: "@", brightness: 1, rgb: red, alpha: 1 },
+            { char: "#", brightness: 0.8, rgb: blue, alpha: 1 },
+            { char: ".", brightness: 0.1, rgb: blue, alpha: 1 },
+            { char: " ", brightness: 0, rgb: blue, alpha: 1 },
+            { char: ".", brightness: 0.1, rgb: red, alpha: 1 },
+        ],
+        metadata: { options: { color: "truecolor" } },
+    };
+
+    test("should serialize plain text rows", () => {
+        expect(gridToText(grid)).toBe("@@#\n. .\n");
+    });
+
+    test("should merge color codes in ANSI output", () => {
+        expect(gridToAnsi(grid).split("\n")[0]).toBe(
+            "\x1b[38;2;255;0;0m@@\x1b[38;2;0;0;255m#\x1b[0m"
+        );
+        expect(gridToAnsi(grid, "none")).toBe(gridToText(grid));
+    });
+
+    test("should group colored runs", () => {
+        const lines = gridToRuns(grid);
+
+        expect(lines[0]).toEqual([
+            { text: "@@", fg: "#ff0000", bg: null },
+            { text: "#", fg: "#0000ff", bg: null },
+        ]);
+        expect(gridToRuns(grid, "none")[1]).toEqual([
+            { text: ". .", fg: null, bg: null },
+        ]);
+    });
+
+    test("should round-trip through JSON", () => {
+        expect(JSON.parse(gridToJson(grid))).toEqual(grid);
+    });
+});
@@ -0,0 +1,135 @@
+const sharp = require("sharp");
+const { createServer } = require("../src/server");
+const { convertToAscii } = require("../src/converter");
+
+describe("Server", () => {
+    let server;
+    let baseUrl;
+    let image;
+
+    beforeAll(async () => {
+        image = await sharp({
+            create: {
+                width: 40,
+                height: 40,
+                channels: 3,
+                background: { r: 200, g: 40, b: 40 },
+            },
+        })
+            .png()
+            .toBuffer();
+
+        server = createServer({ defaults: { width: 20 }, maxBodySize: 4096 });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    const post = (query, body, headers = {}) =>
+        fetch(`${baseUrl}/convert${query}`, { method: "POST", body, headers });
+
+    test("should convert a raw image body to plain text", async () => {
+        const res = await post("?width=12", image);
+
+        expect(res.status).toBe(200);
+        expect(res.headers.get("content-type")).toMatch(/^text\/plain/);
+        expect(await res.text()).toBe(
+            await convertToAscii(image, { width: 12 })
+        );
+    });
+
+    test("should negotiate the response format from Accept", async () => {
+        const json = await post("", image, { Accept: "application/json" });
+        expect(json.headers.get("content-type")).toMatch(/^application\/json/);
+        expect((await json.json()).width).toBe(20);
+
+        const html = await post("", image, {
+            Accept: "text/plain;q=0.5, text/html",
+        });
+        expect(html.headers.get("content-type")).toMatch(/^text\/html/);
+        expect(await html.text()).toMatch(/^<!DOCTYPE html>/);
+
+        const ansi = await post("?format=ansi", image);
+        expect(await ansi.text()).toContain("\x1b[38;2;");
+
+        const refused = await post("", image, { Accept: "image/png" });
+        expect(refused.status).toBe(406);
+        expect((await refused.json()).error.code).toBe("ERR_NOT_ACCEPTABLE");
+    });
+
+    test("should accept multipart uploads with form fields", async () => {
+        const form = new FormData();
+        form.append("width", "15");
+        form.append("image", new Blob([image]), "red.png");
+
+        const res = await fetch(`${baseUrl}/convert`, {
+            method: "POST",
+            body: form,
+        });
+
+        expect(res.status).toBe(200);
+        expect(await res.text()).toBe(
+            await convertToAscii(image, { width: 15 })
+        );
+    });
+
+    test("should report failures as structured JSON errors", async () => {
+        const cases = [
+            [post("?width=3", image), 400, "ERR_INVALID_OPTIONS"],
+            [post("?bogus=1", image), 400, "ERR_INVALID_OPTIONS"],
+            [post("?charset=nope", image), 400, "ERR_INVALID_OPTIONS"],
+            [post("?width=abc", image), 400, "ERR_INVALID_OPTIONS"],
+            [post("?width=20.5", image), 400, "ERR_INVALID_OPTIONS"],
+            [post("?contrast=abc", image), 400, "ERR_INVALID_OPTIONS"],
+            [post("?blur=abc", image), 400, "ERR_INVALID_OPTIONS"],
+            [post("?toString=1", image), 400, "ERR_INVALID_OPTIONS"],
+            [post("?format=toString", image), 400, "ERR_INVALID_OPTIONS"],
+            [
+                post(
+                    "",
+                    '<svg xmlns="http://www.w3.org/2000/svg" width="100000" height="1"></svg>'
+                ),
+                413,
+                "ERR_IMAGE_TOO_LARGE",
+            ],
+            [
+                post("", Buffer.from("not an image")),
+                415,
+                "ERR_UNSUPPORTED_FORMAT",
+            ],
+            [post("", Buffer.alloc(0)), 400, "ERR_NO_IMAGE"],
+            [post("", Buffer.alloc(5000)), 413, "ERR_BODY_TOO_LARGE"],
+            [fetch(`${baseUrl}/convert`), 405, "ERR_METHOD_NOT_ALLOWED"],
+            [fetch(`${baseUrl}/missing`), 404, "ERR_NOT_FOUND"],
+        ];
+
+        for (const [request, status, code] of cases) {
+            const res = await request;
+            expect(res.status).toBe(status);
+            expect((await res.json()).error).toMatchObject({ code });
+        }
+    });
+
+    test("should list charsets", async () => {
+        const res = await fetch(`${baseUrl}/charsets`);
+        const { charsets } = await res.json();
+
+        expect(res.status).toBe(200);
+        expect(charsets.map((charset) => charset.name)).toContain("detailed");
+    });
+
+    test("should reject invalid defaults when created", () => {
+        expect(() => createServer({ defaults: { width: NaN } })).toThrow(
+            "Width must be a number between 10 and 500"
+        );
+        expect(() => createServer({ defaults: { width: 5 } })).toThrow(
+            "Width must be a number between 10 and 500"
+        );
+        expect(() =>
+            createServer({ defaults: { charset: "nonexistent" } })
+        ).toThrow("Unknown charset: nonexistent");
+    });
+});